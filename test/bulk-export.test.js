@@ -0,0 +1,173 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SILENT_LOGGER, core } = require('./helpers');
+
+const ORIGIN = 'https://www.udemy.test';
+const CURRICULUM_URL = `${ORIGIN}/api-2.0/courses/42/subscriber-curriculum-items/`;
+const SECOND_PAGE_URL = `${CURRICULUM_URL}?page=2`;
+
+const caption = lectureId => ({ locale_id: 'en_US', label: 'English', url: `https://cdn.udemy.test/${lectureId}.vtt` });
+const lecture = (id, index, title, captions) => ({ _class: 'lecture', id, object_index: index, title, asset: { asset_type: 'Video', captions } });
+
+// Two pages of curriculum: the first section spills over onto the second page
+const CURRICULUM_PAGES = {
+    first: {
+        next: SECOND_PAGE_URL,
+        results: [
+            { _class: 'chapter', id: 1, object_index: 1, title: 'Getting Started' },
+            lecture(101, 1, 'Welcome', [caption(101)]),
+            lecture(102, 2, 'Setup', [caption(102)]),
+        ],
+    },
+    second: {
+        next: null,
+        results: [
+            { _class: 'quiz', id: 201, object_index: 1, title: 'Check-in', type: 'simple-quiz' },
+            lecture(103, 3, 'Reading', []),
+            { _class: 'chapter', id: 2, object_index: 2, title: 'Going Further' },
+            lecture(104, 4, 'Deep Dive', [caption(104)]),
+        ],
+    },
+};
+
+const vtt = (...lines) => `WEBVTT\n\n${lines.map((line, i) => `00:00:0${i}.000 --> 00:00:0${i + 1}.000\n${line}`).join('\n\n')}\n`;
+const CAPTIONS = {
+    'https://cdn.udemy.test/101.vtt': vtt('Hello and welcome.', 'Let us begin.'),
+    'https://cdn.udemy.test/102.vtt': vtt('Install the tools first.'),
+    'https://cdn.udemy.test/104.vtt': vtt('Now for the details.'),
+};
+
+/**
+ * Creates a fetch stand-in serving the mocked curriculum and captions, which records every request
+ * and honours abort signals the way fetch does.
+ * @param {object} [failures] - HTTP statuses to answer with instead, keyed by URL.
+ * @returns {{fetch: function(string, object): Promise<Response>, requests: {url: string, init: object}[]}}
+ */
+function mockFetch(failures = {}) {
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        if (init.signal && init.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+        requests.push({ url, init });
+        if (failures[url]) return new Response('Server error', { status: failures[url] });
+        if (url === SECOND_PAGE_URL) return Response.json(CURRICULUM_PAGES.second);
+        if (url.startsWith(CURRICULUM_URL)) return Response.json(CURRICULUM_PAGES.first);
+        if (CAPTIONS[url]) return new Response(CAPTIONS[url]);
+        return new Response('Not found', { status: 404 });
+    };
+    return { fetch, requests };
+}
+
+/**
+ * Runs a bulk export of the mocked course.
+ * @returns {Promise<{course: object, archive: object[], progress: number[][]}>} The export, the library
+ *     entries it produced and every progress report.
+ */
+async function exportCourse() {
+    const { signal } = new AbortController();
+    const sections = core.groupCurriculum(await core.fetchCurriculum(42, signal));
+    const archive = [];
+    const progress = [];
+    const course = await core.buildBulkTranscript('Mock Course', sections, '', signal, (done, total) => {
+        progress.push([done, total]);
+    }, archive);
+    return { course, archive, progress };
+}
+
+core.setLogger(SILENT_LOGGER);
+
+beforeEach(() => {
+    core.configureNetwork({ origin: ORIGIN, fetch: mockFetch().fetch, requestDelayMs: 0 });
+});
+
+test('fetchCurriculum follows pagination against the configured origin', async () => {
+    const network = mockFetch();
+    core.configureNetwork({ fetch: network.fetch });
+
+    const items = await core.fetchCurriculum(42);
+    assert.deepEqual(items.map(item => item.id), [1, 101, 102, 201, 103, 2, 104]);
+    assert.equal(network.requests.length, 2);
+    assert.match(network.requests[0].url, /^https:\/\/www\.udemy\.test\/api-2\.0\/courses\/42\/subscriber-curriculum-items\/\?page_size=200&/);
+    assert.equal(network.requests[1].url, SECOND_PAGE_URL);
+    // The API needs the session cookies
+    assert.ok(network.requests.every(request => request.init.credentials === 'include'));
+});
+
+test('fetchCurriculum rejects when a page fails', async () => {
+    core.configureNetwork({ fetch: mockFetch({ [SECOND_PAGE_URL]: 503 }).fetch });
+    await assert.rejects(core.fetchCurriculum(42), /status 503/);
+});
+
+test('buildBulkTranscript collects every lecture, section by section', async () => {
+    const network = mockFetch();
+    core.configureNetwork({ fetch: network.fetch });
+
+    const { course, archive, progress } = await exportCourse();
+    assert.equal(course.courseTitle, 'Mock Course');
+    assert.deepEqual(course.sections.map(section => [section.index, section.title, section.lectures.map(item => item.title)]), [
+        [1, 'Getting Started', ['Welcome', 'Setup', 'Reading']],
+        [2, 'Going Further', ['Deep Dive']],
+    ]);
+
+    const [welcome, , reading] = course.sections[0].lectures;
+    assert.equal(welcome.body, 'Hello and welcome.\nLet us begin.');
+    assert.deepEqual(welcome.cues, [
+        { start: 0, end: 1, text: 'Hello and welcome.' },
+        { start: 1, end: 2, text: 'Let us begin.' },
+    ]);
+    assert.equal(reading.body, null);
+    assert.equal(reading.note, 'No captions available.');
+
+    assert.deepEqual(archive.map(entry => entry.lectureId), [101, 102, 104]);
+    assert.deepEqual(progress, [[0, 4], [1, 4], [2, 4], [3, 4], [4, 4]]);
+    // Caption files come from a CDN, so cookies stay behind
+    const captionRequests = network.requests.filter(request => request.url.endsWith('.vtt'));
+    assert.equal(captionRequests.length, 3);
+    assert.ok(captionRequests.every(request => request.init.credentials === undefined));
+});
+
+test('buildBulkTranscript notes a failed caption request and carries on', async () => {
+    core.configureNetwork({ fetch: mockFetch({ 'https://cdn.udemy.test/102.vtt': 500 }).fetch });
+
+    const { course, archive } = await exportCourse();
+    const setup = course.sections[0].lectures[1];
+    assert.equal(setup.body, null);
+    assert.equal(setup.note, 'Failed to fetch captions.');
+    assert.equal(course.sections[1].lectures[0].body, 'Now for the details.');
+    assert.deepEqual(archive.map(entry => entry.lectureId), [101, 104]);
+});
+
+test('buildBulkTranscript stops when the export is aborted part-way', async () => {
+    const network = mockFetch();
+    core.configureNetwork({ fetch: network.fetch });
+    const controller = new AbortController();
+    const sections = core.groupCurriculum(await core.fetchCurriculum(42, controller.signal));
+    const archive = [];
+
+    const exporting = core.buildBulkTranscript('Mock Course', sections, '', controller.signal, done => {
+        if (done === 1) controller.abort();
+    }, archive);
+    await assert.rejects(exporting, { name: 'AbortError' });
+
+    // The first lecture was fetched and kept for the library; nothing after the abort was requested
+    assert.deepEqual(archive.map(entry => entry.lectureId), [101]);
+    assert.deepEqual(network.requests.filter(request => request.url.endsWith('.vtt')).map(request => request.url),
+        ['https://cdn.udemy.test/101.vtt']);
+});
+
+test('buildBulkTranscript waits between caption requests', async () => {
+    core.configureNetwork({ requestDelayMs: 30 });
+    const started = Date.now();
+    await exportCourse();
+    // Three caption requests, each followed by the pause
+    assert.ok(Date.now() - started >= 80);
+});
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../udemy-transcript-cli.js');
+const { FIXTURES_DIR, LECTURE_FIXTURES, assertMatchesExpected, expectedFileName, stabilizeOutput } = require('./helpers');
+
+const fixtureFile = name => path.join(FIXTURES_DIR, `${name}.html`);
+
+/**
+ * Runs the command line tool, capturing what it writes.
+ * @param {object} t - The test context, used to mock console.error and console.warn for the duration of the test.
+ * @param {string[]} args - The command line arguments.
+ * @returns {{code: number, stdout: string, stderr: string}} The exit code and the captured output.
+ */
+function runCli(t, args) {
+    let stdout = '';
+    const stderr = [];
+    t.mock.method(console, 'error', (...parts) => { stderr.push(parts.join(' ')); });
+    t.mock.method(console, 'warn', (...parts) => { stderr.push(parts.join(' ')); });
+    const code = main(args, { write: chunk => { stdout += chunk; } });
+    return { code, stdout, stderr: stderr.join('\n') };
+}
+
+for (const fixture of Object.keys(LECTURE_FIXTURES)) {
+    for (const format of ['markdown', 'yaml', 'json', 'html']) {
+        test(`prints ${fixture} in the ${format} output format`, t => {
+            const { code, stdout } = runCli(t, ['--output-format', format, fixtureFile(fixture)]);
+            assert.equal(code, 0);
+            // The converted text is followed by a newline on stdout
+            assertMatchesExpected(stdout.replace(/\n$/, ''), expectedFileName(fixture, format));
+        });
+    }
+}
+
+test('converts every page in a directory, in name order', t => {
+    const { code, stdout } = runCli(t, [FIXTURES_DIR]);
+    assert.equal(code, 0);
+    const expected = Object.keys(LECTURE_FIXTURES)
+        .map(fixture => fs.readFileSync(path.join(FIXTURES_DIR, 'expected', expectedFileName(fixture, 'markdown')), 'utf8'));
+    assert.equal(stdout, `${expected.join('\n\n')}\n`);
+});
+
+test('--format json wraps each lecture with its source, URL and metadata', t => {
+    const { code, stdout } = runCli(t, ['--format', 'json', '--mode', 'prose', fixtureFile('lecture-fallback')]);
+    assert.equal(code, 0);
+    const [result] = JSON.parse(stdout);
+    assert.equal(result.source, fixtureFile('lecture-fallback'));
+    assert.equal(result.url, LECTURE_FIXTURES['lecture-fallback']);
+    assert.equal(result.context.lectureTitle, '12. Borrowing');
+    assert.equal(result.format, 'markdown');
+    assert.match(result.transcript, /^A reference borrows a value without taking ownership of it\./);
+});
+
+test('--out writes one file per lecture, named by the filename pattern', t => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'utc-cli-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    const { code, stdout, stderr } = runCli(t, ['--output-format', 'yaml', '--out', outDir, FIXTURES_DIR]);
+    assert.equal(code, 0);
+    assert.equal(stdout, '');
+    assert.deepEqual(fs.readdirSync(outDir).sort(), [
+        'Node Basics - S01 L02 - Installing Node & npm.md',
+        'Rust for Beginners - S03 L12 - Borrowing.md',
+    ]);
+    assert.match(stderr, /lecture-basic\.html -> /);
+    const written = fs.readFileSync(path.join(outDir, 'Rust for Beginners - S03 L12 - Borrowing.md'), 'utf8');
+    assert.equal(stabilizeOutput(written), fs.readFileSync(path.join(FIXTURES_DIR, 'expected', 'lecture-fallback.yaml.md'), 'utf8') + '\n');
+});
+
+test('keeps the core\'s log messages off stdout, showing them on stderr with --verbose', t => {
+    const log = console.log;
+    const quiet = runCli(t, [fixtureFile('lecture-basic')]);
+    const verbose = runCli(t, ['--verbose', fixtureFile('lecture-basic')]);
+    assert.equal(console.log, log);
+    assert.equal(quiet.stdout, verbose.stdout);
+    assert.doesNotMatch(quiet.stderr, /\[Udemy Transcript Copier\]/);
+    assert.match(verbose.stderr, /\[Udemy Transcript Copier\]/);
+});
+
+test('reports pages it cannot convert and carries on with the rest', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utc-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.copyFileSync(fixtureFile('lecture-basic'), path.join(dir, '1.html'));
+    fs.writeFileSync(path.join(dir, '2.html'), '<!DOCTYPE html><p>Saved without the transcript</p>');
+
+    const { code, stdout, stderr } = runCli(t, [dir]);
+    assert.equal(code, 1);
+    assert.match(stdout, /^# Node Basics/);
+    assert.match(stderr, /Failed to convert .*2\.html: No transcript found/);
+});
+
+test('rejects unknown options with a usage error', t => {
+    const { code, stdout, stderr } = runCli(t, ['--colour', fixtureFile('lecture-basic')]);
+    assert.equal(code, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Unknown option --colour\.[\s\S]*Usage:/);
+});
+
+test('rejects modes that need caption timings', t => {
+    const { code, stderr } = runCli(t, ['--mode', 'srt', fixtureFile('lecture-basic')]);
+    assert.equal(code, 2);
+    assert.match(stderr, /saved pages only support plain or prose/);
+});
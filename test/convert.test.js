@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const {
+    LECTURE_FIXTURES, SILENT_LOGGER, core, loadFixturePage, makeSettings, assertMatchesExpected, expectedFileName,
+} = require('./helpers');
+
+core.setLogger(SILENT_LOGGER);
+
+for (const [fixture, url] of Object.entries(LECTURE_FIXTURES)) {
+    for (const format of Object.keys(core.OUTPUT_FORMATS)) {
+        test(`convertLecturePage renders ${fixture} as ${format}`, () => {
+            const { page } = loadFixturePage(fixture);
+            const lecture = core.convertLecturePage(page, makeSettings({ outputFormat: format }), url);
+            assert.equal(lecture.format, format);
+            assertMatchesExpected(lecture.text, expectedFileName(fixture, format));
+        });
+    }
+}
+
+test('convertLecturePage reads the lecture context and metadata', () => {
+    const { page } = loadFixturePage('lecture-basic');
+    const lecture = core.convertLecturePage(page, makeSettings(), `${LECTURE_FIXTURES['lecture-basic']}#overview`);
+    assert.deepEqual(lecture.context, {
+        courseTitle: 'Node Basics',
+        sectionTitle: 'Section 1: Getting Started',
+        sectionNumber: 1,
+        lectureTitle: '2. Installing Node & npm',
+        lectureNumber: 2,
+    });
+    assert.equal(lecture.metadata.url, 'https://www.udemy.com/course/node-basics/learn/lecture/1002');
+    assert.equal(lecture.metadata.instructors, 'Jane Doe (Engineer, Trainer), John Roe (Designer)');
+    assert.equal(lecture.extension, 'md');
+});
+
+test('convertLecturePage reflows the transcript in prose mode', () => {
+    const { page } = loadFixturePage('lecture-fallback');
+    const lecture = core.convertLecturePage(page, makeSettings({ outputMode: 'prose' }), LECTURE_FIXTURES['lecture-fallback']);
+    assert.equal(lecture.transcript,
+        'A reference borrows a value without taking ownership of it. You can have many shared references, or one mutable one.');
+});
+
+test('convertLecturePage falls back to plain text for modes that need caption timings', () => {
+    const { page } = loadFixturePage('lecture-fallback');
+    const lecture = core.convertLecturePage(page, makeSettings({ outputMode: 'srt' }), LECTURE_FIXTURES['lecture-fallback']);
+    assert.equal(lecture.transcript.split('\n').length, 3);
+    assert.doesNotMatch(lecture.transcript, /-->/);
+});
+
+test('convertLecturePage rejects a page saved without the transcript sidebar', () => {
+    const page = new JSDOM('<!DOCTYPE html><p>Nothing here</p>').window.document;
+    assert.throws(() => core.convertLecturePage(page, makeSettings(), ''), /No transcript found/);
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Shared helpers for the tests: loading the saved lecture pages in test/fixtures and comparing
+ * output with the expected files in test/fixtures/expected. Run the tests with UPDATE_FIXTURES=1
+ * to rewrite the expected files after an intended change to the output, then review the diff.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const core = require('../udemy-transcript-copier.user.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPECTED_DIR = path.join(FIXTURES_DIR, 'expected');
+
+// The saved lecture pages, each with expected output in every output format, and the URL each
+// page records it was saved from
+const LECTURE_FIXTURES = {
+    'lecture-basic': 'https://www.udemy.com/course/node-basics/learn/lecture/1002',
+    'lecture-fallback': 'https://www.udemy.com/course/rust-beginners/learn/lecture/77#questions',
+};
+
+// Swallows the core's log messages so they do not clutter the test report
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Loads a saved lecture page from test/fixtures.
+ * @param {string} name - The fixture name, without the .html extension.
+ * @returns {{file: string, html: string, page: Document}} The file path, its HTML and the parsed page.
+ */
+function loadFixturePage(name) {
+    const file = path.join(FIXTURES_DIR, `${name}.html`);
+    const html = fs.readFileSync(file, 'utf8');
+    return { file, html, page: new JSDOM(html).window.document };
+}
+
+/**
+ * Builds complete settings from the defaults, as the command line tool does without a config file.
+ * @param {object} [overrides] - Settings to change.
+ * @returns {object} Complete settings.
+ */
+function makeSettings(overrides = {}) {
+    return { ...core.settingsFromStored({ schemaVersion: 0 }, 'defaults'), ...overrides };
+}
+
+/**
+ * Replaces the capture time the YAML and JSON formats record, so output can be compared across runs.
+ * @param {string} text - The output.
+ * @returns {string} The output with every capture time replaced by "<captured>".
+ */
+function stabilizeOutput(text) {
+    return text.replace(/("captured": |captured: )"[^"]*"/g, '$1"<captured>"');
+}
+
+/**
+ * Compares output with an expected file, or rewrites the file when UPDATE_FIXTURES is set.
+ * @param {string} actual - The output.
+ * @param {string} expectedName - The file name in test/fixtures/expected.
+ */
+function assertMatchesExpected(actual, expectedName) {
+    const expectedFile = path.join(EXPECTED_DIR, expectedName);
+    const stable = stabilizeOutput(actual);
+    if (process.env.UPDATE_FIXTURES) {
+        fs.writeFileSync(expectedFile, stable);
+        return;
+    }
+    assert.equal(stable, fs.readFileSync(expectedFile, 'utf8'), `output differs from ${expectedName}`);
+}
+
+/**
+ * Names the expected file for a fixture rendered in an output format.
+ * @param {string} fixture - The fixture name.
+ * @param {string} format - The OUTPUT_FORMATS key.
+ * @returns {string} The file name, e.g. "lecture-basic.yaml.md".
+ */
+function expectedFileName(fixture, format) {
+    const extensions = { markdown: 'md', yaml: 'yaml.md', json: 'json', html: 'html' };
+    return `${fixture}.${extensions[format]}`;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    LECTURE_FIXTURES,
+    SILENT_LOGGER,
+    core,
+    loadFixturePage,
+    makeSettings,
+    stabilizeOutput,
+    assertMatchesExpected,
+    expectedFileName,
+};
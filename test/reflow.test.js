@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./helpers');
+
+const reflow = cues => core.reflowTranscript(cues, { removeFillers: false });
+
+test('reflowTranscript keeps a punctuated sentence together across a long pause', () => {
+    const cues = [
+        { start: 0, end: 2, text: 'Hello there. This is a test.' },
+        { start: 2, end: 4, text: 'Another one' },
+        { start: 6, end: 7, text: 'here.' },
+    ];
+    assert.equal(reflow(cues), 'Hello there. This is a test. Another one here.');
+});
+
+test('reflowTranscript starts a paragraph at a long pause between punctuated sentences', () => {
+    const cues = [
+        { start: 0, end: 2, text: 'That covers the setup.' },
+        { start: 5, end: 7, text: 'Now for the code.' },
+    ];
+    assert.equal(reflow(cues), 'That covers the setup.\n\nNow for the code.');
+});
+
+test('reflowTranscript ends sentences at long pauses when the captions have no punctuation', () => {
+    const cues = [
+        { start: 0, end: 2, text: 'so that covers the setup' },
+        { start: 5, end: 7, text: 'now for the code' },
+    ];
+    assert.equal(reflow(cues), 'so that covers the setup\n\nnow for the code');
+});
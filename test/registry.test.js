@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { SILENT_LOGGER, core, loadFixturePage } = require('./helpers');
+
+core.setLogger(SILENT_LOGGER);
+
+// The strategy each field should resolve with on lecture-fallback.html, where Udemy's
+// preferred selectors no longer match
+const FALLBACK_STRATEGIES = {
+    courseDataBlob: { type: 'selector', value: '[data-module-id="course-taking"][data-module-args]' },
+    courseId: { type: 'json', path: 'courseLeadData.id' },
+    courseTitle: { type: 'classPrefix', base: 'span', value: 'curriculum-item-view--course-title--' },
+    courseSubtitle: { type: 'json', path: 'courseLeadData.headline' },
+    language: { type: 'json', path: 'courseLeadData.localeSimpleEnglishTitle' },
+    currentLectureItem: { type: 'classPrefix', base: 'li', value: 'curriculum-item-link--is-current--' },
+    lectureTitle: { type: 'classPrefix', base: 'span', value: 'curriculum-item-link--curriculum-item-title-content--' },
+    sectionPanel: { type: 'closest', value: '[data-purpose^="section-panel"]' },
+    sectionTitle: { type: 'selector', value: 'h3' },
+    transcriptSidebar: { type: 'classPrefix', base: 'div[data-purpose="sidebar-content"]', value: 'sidebar--transcript--' },
+    transcriptPanel: { type: 'classPrefix', base: 'div', value: 'transcript--transcript-panel--' },
+    transcriptCue: { type: 'classPrefix', base: 'p', value: 'transcript--cue-container--' },
+    cueText: { type: 'classPrefix', base: 'span', value: 'transcript--cue-text--' },
+    videoPlayer: { type: 'selector', value: 'div[class*="video-player--container--"] video' },
+};
+
+test('every field resolves with its preferred strategy on current markup', () => {
+    const { page } = loadFixturePage('lecture-basic');
+    for (const field of Object.keys(FALLBACK_STRATEGIES)) {
+        const { value, attempts } = core.resolveField(field, { page });
+        assert.ok(value, `${field} did not resolve`);
+        assert.equal(attempts.length, 1, `${field} needed a fallback: ${attempts.join('; ')}`);
+    }
+});
+
+test('fields fall back to their other strategies when the preferred ones stop matching', () => {
+    const { page } = loadFixturePage('lecture-fallback');
+    for (const [field, expected] of Object.entries(FALLBACK_STRATEGIES)) {
+        const { value, strategy, attempts } = core.resolveField(field, { page });
+        assert.ok(value, `${field} did not resolve`);
+        assert.deepEqual(strategy, expected, `${field} resolved with an unexpected strategy`);
+        assert.ok(attempts.length > 1, `${field} should have skipped its preferred strategy`);
+    }
+});
+
+test('the fallback strategies still find the text the preferred ones would', () => {
+    const { page } = loadFixturePage('lecture-fallback');
+    assert.equal(core.resolveField('courseTitle', { page }).value.textContent.trim(), 'Rust for Beginners');
+    assert.equal(core.resolveField('lectureTitle', { page }).value.textContent.trim(), '12. Borrowing');
+    assert.equal(core.resolveField('cueText', { page }).value.length, 3);
+    assert.equal(core.resolveField('courseId', { page }).value, 77);
+});
+
+test('a field no strategy matches resolves to null and lists what was tried', () => {
+    const page = new JSDOM('<!DOCTYPE html><p>Nothing here</p>').window.document;
+    const { value, strategy, attempts } = core.resolveField('transcriptPanel', { page });
+    assert.equal(value, null);
+    assert.equal(strategy, null);
+    assert.equal(attempts.length, 2);
+});
@@ -0,0 +1,33 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./helpers');
+
+test('validateTemplate accepts a template with the transcript once at the top level', () => {
+    assert.deepEqual(core.validateTemplate('{{#courseTitle}}# {{courseTitle}}\n{{/courseTitle}}{{transcript}}'), []);
+});
+
+test('validateTemplate requires the transcript', () => {
+    assert.deepEqual(core.validateTemplate('# {{courseTitle}}'), ['Template must include {{transcript}}.']);
+});
+
+test('validateTemplate rejects a transcript inside a block, which an empty field would drop', () => {
+    assert.deepEqual(core.validateTemplate('{{#courseTitle}}# {{courseTitle}}\n{{transcript}}{{/courseTitle}}'),
+        ['{{transcript}} cannot be placed inside a {{#...}} block.']);
+    // Even when it also appears at the top level
+    assert.deepEqual(core.validateTemplate('{{transcript}}{{#notes|range}}{{transcript}}{{/notes|range}}'),
+        ['{{transcript}} cannot be placed inside a {{#...}} block.']);
+});
+
+test('validateTemplate rejects a transcript placed more than once', () => {
+    assert.deepEqual(core.validateTemplate('{{transcript}}\n---\n{{ transcript }}'), ['Template must include {{transcript}} only once.']);
+});
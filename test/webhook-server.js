@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * A local stand-in for a send target (webhook) endpoint, and a GM_xmlhttpRequest work-alike built
+ * on Node's http module, so the userscript's sends can be tested against a real HTTP server.
+ */
+
+'use strict';
+
+const http = require('http');
+
+/**
+ * Starts an endpoint on a free local port. It records every request it receives and answers with
+ * the scripted statuses in order, then with 200 once they run out.
+ * @returns {Promise<{url: string, received: {method: string, headers: object, body: object}[], respondWith: function(...number): void, close: function(): Promise<void>}>}
+ */
+function startWebhookServer() {
+    const received = [];
+    const statuses = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            received.push({ method: request.method, headers: request.headers, body: JSON.parse(body) });
+            response.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+            response.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/hook`,
+                received,
+                respondWith: (...next) => { statuses.push(...next); },
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+/**
+ * Makes a request the way GM_xmlhttpRequest does, for the parts of its interface the userscript uses.
+ * @param {{method: string, url: string, headers: object, data: string, timeout: number, onload: function, onerror: function, ontimeout: function}} details - The request.
+ */
+function gmXmlHttpRequest(details) {
+    // Only the first outcome counts: destroying a timed-out request also raises an error
+    let settled = false;
+    const settle = callback => {
+        if (!settled) {
+            settled = true;
+            callback();
+        }
+    };
+    const request = http.request(details.url, { method: details.method, headers: details.headers, timeout: details.timeout }, response => {
+        response.resume();
+        response.on('end', () => settle(() => details.onload({ status: response.statusCode })));
+    });
+    request.on('timeout', () => {
+        settle(details.ontimeout);
+        request.destroy();
+    });
+    request.on('error', () => settle(details.onerror));
+    request.end(details.data);
+}
+
+module.exports = { startWebhookServer, gmXmlHttpRequest };
@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SILENT_LOGGER, core, makeSettings } = require('./helpers');
+const { startWebhookServer, gmXmlHttpRequest } = require('./webhook-server');
+
+// The webhook queue lives in Tampermonkey storage; an in-memory store stands in for it
+let storage = {};
+globalThis.GM_getValue = async (key, fallback) => (key in storage ? storage[key] : fallback);
+globalThis.GM_setValue = async (key, value) => { storage[key] = value; };
+
+let server;
+let settings;
+
+const payload = text => ({ event: 'transcript', lectureId: 1, text });
+// Lets a send's follow-up queue flush, which is not awaited, finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+core.setLogger(SILENT_LOGGER);
+core.configureWebhookTransport({ request: gmXmlHttpRequest, retryBaseMs: 1 });
+
+before(async () => {
+    server = await startWebhookServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    storage = {};
+    server.received.length = 0;
+    settings = makeSettings({
+        webhookUrl: server.url,
+        webhookToken: 'secret-token',
+        webhookHeaders: 'X-Vault: Lectures\n# a comment\n',
+    });
+});
+
+test('postWebhook delivers the payload as JSON with the configured headers', async () => {
+    const status = await core.postWebhook(settings, payload('Hello'));
+    assert.equal(status, 200);
+    assert.equal(server.received.length, 1);
+    const [request] = server.received;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers.authorization, 'Bearer secret-token');
+    assert.equal(request.headers['x-vault'], 'Lectures');
+    assert.deepEqual(request.body, payload('Hello'));
+});
+
+test('postWebhook rejects on a non-2xx status', async () => {
+    server.respondWith(404);
+    await assert.rejects(core.postWebhook(settings, payload('Hello')), /status 404/);
+});
+
+test('a send that gets a 5xx is retried and delivered', async () => {
+    server.respondWith(503);
+    const sent = await core.sendOrQueueWebhook(settings, payload('Hello'));
+    await settle();
+    assert.equal(sent, true);
+    assert.equal(server.received.length, 2);
+    assert.deepEqual(server.received[1].body, payload('Hello'));
+    assert.deepEqual(await core.loadWebhookQueue(), []);
+});
+
+test('a send is queued once every attempt has failed, and delivered when the queue is flushed', async () => {
+    server.respondWith(500, 500, 500);
+    const sent = await core.sendOrQueueWebhook(settings, payload('Hello'));
+    assert.equal(sent, false);
+    assert.equal(server.received.length, 3);
+
+    const queue = await core.loadWebhookQueue();
+    assert.equal(queue.length, 1);
+    assert.deepEqual(queue[0].payload, payload('Hello'));
+    assert.equal(queue[0].lastError, 'Endpoint responded with status 500.');
+
+    assert.equal(await core.flushWebhookQueue(settings), 0);
+    assert.equal(server.received.length, 4);
+    assert.deepEqual(await core.loadWebhookQueue(), []);
+});
+
+test('flushing delivers queued sends in order and stops at the first failure', async () => {
+    server.respondWith(500, 500, 500, 500, 500, 500);
+    await core.sendOrQueueWebhook(settings, payload('First'));
+    await core.sendOrQueueWebhook(settings, payload('Second'));
+    server.received.length = 0;
+
+    // The endpoint is still down: nothing may overtake the oldest send
+    server.respondWith(502);
+    assert.equal(await core.flushWebhookQueue(settings), 2);
+    assert.deepEqual(server.received.map(request => request.body.text), ['First']);
+    assert.equal((await core.loadWebhookQueue())[0].lastError, 'Endpoint responded with status 502.');
+
+    server.received.length = 0;
+    assert.equal(await core.flushWebhookQueue(settings), 0);
+    assert.deepEqual(server.received.map(request => request.body.text), ['First', 'Second']);
+    assert.deepEqual(await core.loadWebhookQueue(), []);
+});
+
+test('a send to an unreachable endpoint is queued', async () => {
+    const unreachable = await startWebhookServer();
+    await unreachable.close();
+    const offline = { ...settings, webhookUrl: unreachable.url };
+
+    assert.equal(await core.sendOrQueueWebhook(offline, payload('Hello')), false);
+    assert.equal((await core.loadWebhookQueue())[0].lastError, 'Could not reach the endpoint.');
+
+    // Deliver it to the live endpoint so no retry stays scheduled
+    assert.equal(await core.flushWebhookQueue(settings), 0);
+    assert.deepEqual(server.received.map(request => request.body.text), ['Hello']);
+});
+
+test('a failed follow-up flush after a send is logged, not left unhandled', async t => {
+    const errors = [];
+    core.setLogger({ ...SILENT_LOGGER, error: (...parts) => { errors.push(parts.join(' ')); } });
+    t.after(() => core.setLogger(SILENT_LOGGER));
+    // The send itself succeeds; saving the queue afterwards does not
+    t.mock.method(globalThis, 'GM_setValue', async () => { throw new Error('Storage is full'); });
+
+    assert.equal(await core.sendOrQueueWebhook(settings, payload('Hello')), true);
+    await settle();
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Failed to flush the webhook queue: Error: Storage is full/);
+});
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2025 Invictus Navarchus
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Converts saved Udemy lecture pages into the Markdown (or JSON) the userscript's Copy button
+ * produces, using the userscript's own headless core. Save lecture pages from the browser with
+ * the transcript sidebar open ("Webpage, Complete" or "HTML only"), then run:
+ *
+ *     node udemy-transcript-cli.js [options] <page.html | directory>...
+ *
+ * Options:
+ *     --format markdown|json  Output format (default: markdown)
+ *     --mode plain|prose      Transcript mode (default: the config's output mode)
+ *     --output-format <name>  Lecture output format: markdown, yaml, json or html
+ *                             (default: the config's output format)
+ *     --config <file.json>    Settings exported from the userscript's settings panel
+ *     --out <directory>       Write one file per lecture, named by the config's filename pattern,
+ *                             instead of printing everything to stdout
+ *     --verbose               Show the core's log messages on stderr
+ *
+ * --format json wraps each lecture's rendered text with its metadata; --output-format chooses how
+ * that text itself is rendered, as the userscript's Output Format setting does.
+ *
+ * Parsing HTML needs jsdom, which "npm install" in this directory sets up. Saved pages carry no caption timings, so the
+ * timestamped, SRT and WebVTT modes fall back to plain text.
+ */
+
+(function() {
+    'use strict';
+
+    const fs = require('fs');
+    const path = require('path');
+
+    const CLI_PREFIX = '[Udemy Transcript CLI]:';
+    const HTML_FILE_REGEX = /\.html?$/i;
+    const USAGE = 'Usage: node udemy-transcript-cli.js [--format markdown|json] [--mode plain|prose] ' +
+        '[--output-format markdown|yaml|json|html] [--config settings.json] [--out directory] [--verbose] <page.html | directory>...';
+
+    /**
+     * Parses the command-line arguments.
+     * @param {string[]} args - The arguments after the script name.
+     * @returns {{inputs: string[], format: string, mode: string | null, outputFormat: string | null, config: string | null, out: string | null, verbose: boolean, help?: boolean}}
+     */
+    function parseArgs(args) {
+        const options = { inputs: [], format: 'markdown', mode: null, outputFormat: null, config: null, out: null, verbose: false };
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const takeValue = () => {
+                if (i + 1 >= args.length) throw new Error(`${arg} needs a value.`);
+                return args[++i];
+            };
+            switch (arg) {
+                case '--format': options.format = takeValue(); break;
+                case '--mode': options.mode = takeValue(); break;
+                case '--output-format': options.outputFormat = takeValue(); break;
+                case '--config': options.config = takeValue(); break;
+                case '--out': options.out = takeValue(); break;
+                case '--verbose': options.verbose = true; break;
+                case '--help':
+                case '-h':
+                    options.help = true;
+                    break;
+                default:
+                    if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+                    options.inputs.push(arg);
+            }
+        }
+        if (!['markdown', 'json'].includes(options.format)) {
+            throw new Error(`Unknown format "${options.format}"; use markdown or json.`);
+        }
+        if (options.mode && !['plain', 'prose'].includes(options.mode)) {
+            throw new Error(`Unsupported mode "${options.mode}"; saved pages only support plain or prose.`);
+        }
+        if (options.outputFormat && !['markdown', 'yaml', 'json', 'html'].includes(options.outputFormat)) {
+            throw new Error(`Unknown output format "${options.outputFormat}"; use markdown, yaml, json or html.`);
+        }
+        return options;
+    }
+
+    /**
+     * Expands the inputs into the list of HTML files to convert, in name order within directories.
+     * @param {string[]} inputs - File and directory paths.
+     * @returns {string[]} The HTML file paths.
+     */
+    function collectFiles(inputs) {
+        const files = [];
+        for (const input of inputs) {
+            if (fs.statSync(input).isDirectory()) {
+                const names = fs.readdirSync(input)
+                    .filter(name => HTML_FILE_REGEX.test(name))
+                    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+                files.push(...names.map(name => path.join(input, name)));
+            } else {
+                files.push(input);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Loads the settings to convert with: an exported configuration file, or the defaults.
+     * @param {object} core - The userscript's headless core.
+     * @param {string | null} configPath - The path of a configuration file exported by the userscript.
+     * @returns {object} Complete settings.
+     */
+    function loadSettings(core, configPath) {
+        if (!configPath) return core.settingsFromStored({ schemaVersion: 0 }, 'defaults');
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        if (!config || config.format !== core.CONFIG_FILE_FORMAT || !config.settings) {
+            throw new Error(`${configPath} is not a Udemy Transcript Copier settings file.`);
+        }
+        return core.settingsFromStored({ ...config.settings, schemaVersion: config.schemaVersion || 0 }, configPath);
+    }
+
+    /**
+     * Finds the lecture URL a page was saved from.
+     * @param {Document} page - The parsed page.
+     * @param {string} html - The raw HTML, for the "saved from" comment browsers add.
+     * @returns {string} The URL, or an empty string if the page does not record it.
+     */
+    function findPageUrl(page, html) {
+        const canonical = page.querySelector('link[rel="canonical"]');
+        if (canonical && canonical.getAttribute('href')) return canonical.getAttribute('href');
+        const ogUrl = page.querySelector('meta[property="og:url"]');
+        if (ogUrl && ogUrl.getAttribute('content')) return ogUrl.getAttribute('content');
+        const savedFrom = html.match(/<!-- saved from url=\(\d+\)(\S+?) -->/);
+        return savedFrom ? savedFrom[1] : '';
+    }
+
+    /**
+     * Runs the command line tool. Messages go to stderr, so stdout only ever carries converted output.
+     * @param {string[]} args - The arguments after the script name.
+     * @param {{write: function(string): void}} [stdout] - Where to write the converted output.
+     * @returns {number} The process exit code: 0 on success, 1 if any page failed, 2 on usage errors.
+     */
+    function main(args, stdout = process.stdout) {
+        let options;
+        try {
+            options = parseArgs(args);
+        } catch (e) {
+            console.error(`${CLI_PREFIX} ${e.message}\n${USAGE}`);
+            return 2;
+        }
+        if (options.help || options.inputs.length === 0) {
+            console.error(USAGE);
+            return options.help ? 0 : 2;
+        }
+
+        let JSDOM;
+        try {
+            ({ JSDOM } = require('jsdom'));
+        } catch (e) {
+            console.error(`${CLI_PREFIX} Parsing saved pages needs jsdom. Run "npm install" next to this script and try again.`);
+            return 2;
+        }
+
+        // The core logs every step; keep that off stdout, and out of sight unless asked for
+        const core = require('./udemy-transcript-copier.user.js');
+        core.setLogger({ log: options.verbose ? console.error : () => {}, warn: console.warn, error: console.error });
+
+        let settings;
+        let files;
+        try {
+            settings = loadSettings(core, options.config);
+            files = collectFiles(options.inputs);
+        } catch (e) {
+            console.error(`${CLI_PREFIX} ${e.message}`);
+            return 2;
+        }
+        if (options.mode) settings.outputMode = options.mode;
+        if (options.outputFormat) settings.outputFormat = options.outputFormat;
+        if (options.out) fs.mkdirSync(options.out, { recursive: true });
+
+        const results = [];
+        let failures = 0;
+        for (const file of files) {
+            try {
+                const html = fs.readFileSync(file, 'utf8');
+                const page = new JSDOM(html).window.document;
+                const url = findPageUrl(page, html);
+                const lecture = core.convertLecturePage(page, settings, url);
+                const result = { source: file, url, ...lecture };
+
+                if (options.out) {
+                    const extension = options.format === 'json' ? 'json' : lecture.extension;
+                    const target = path.join(options.out, core.buildFilename(settings.filenamePattern, lecture.context, extension));
+                    const contents = options.format === 'json' ? JSON.stringify(result, null, 2) : lecture.text;
+                    fs.writeFileSync(target, contents + '\n');
+                    console.error(`${CLI_PREFIX} ${file} -> ${target}`);
+                }
+                results.push(result);
+            } catch (e) {
+                failures++;
+                console.error(`${CLI_PREFIX} Failed to convert ${file}: ${e.message}`);
+            }
+        }
+
+        if (!options.out) {
+            const output = options.format === 'json'
+                ? JSON.stringify(results, null, 2)
+                : results.map(result => result.text).join('\n\n');
+            stdout.write(output + '\n');
+        }
+        return failures > 0 ? 1 : 0;
+    }
+
+    if (require.main === module) {
+        process.exitCode = main(process.argv.slice(2));
+    } else {
+        module.exports = { main };
+    }
+})();
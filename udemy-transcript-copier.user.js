@@ -1,12 +1,18 @@
 // ==UserScript==
 // @name         Udemy Transcript Copier
 // @namespace    http://tampermonkey.net/
-// @version      0.6.0
-// @description  Adds a button to copy the entire course transcript and metadata on Udemy, with configurable settings.
+// @version      0.26.0
+// @description  Adds a button to copy the entire course transcript and metadata on Udemy, with configurable settings and whole-course export.
 // @author       You
 // @match        https://*.udemy.com/course/*
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_deleteValue
+// @grant        GM_xmlhttpRequest
+// @grant        GM_setClipboard
+// @connect      localhost
+// @connect      127.0.0.1
+// @connect      *
 // @license      MPL-2.0
 // ==/UserScript==
 
@@ -31,7 +37,17 @@
     function getPrefix() {
         return SCRIPT_PREFIX;
     }
-    console.log(getPrefix(), 'Script starting up.');
+
+    // Where log messages go; the command line tool points it away from stdout
+    let logger = console;
+
+    /**
+     * Replaces the logger, e.g. to keep log messages out of the command line tool's output.
+     * @param {{log: function, warn: function, error: function}} newLogger - The logger to use.
+     */
+    function setLogger(newLogger) {
+        logger = newLogger;
+    }
 
     // --- 2. Settings Management ---
     const SETTINGS_KEY = 'udemyTranscriptSettings';
@@ -47,23 +63,244 @@
         includeLastUpdated: true,
         includeCaptions: true,
         includeLanguage: true,
+        includeNotes: false,
+        includeResources: false,
+        includeQuestions: false,
+        outputMode: 'plain',
+        outputFormat: 'markdown',
+        filenamePattern: '{courseTitle} - S{sectionNumber} L{lectureNumber} - {lectureTitle}',
+        template: '', // Empty means "build the template from the toggles"
+        removeFillers: false,
+        richClipboard: true, // Also copy Markdown as formatted HTML
+        shortcutCopy: 'Alt+Shift+C',
+        shortcutDownload: 'Alt+Shift+D',
+        shortcutSettings: 'Alt+Shift+S',
+        shortcutCyclePreset: 'Alt+Shift+P',
+        shortcutCommandMenu: 'Alt+Shift+K',
+        captionLanguage: '', // Empty means "the language shown in the transcript panel"
+        secondaryLanguage: '', // Empty means "no bilingual export"
+        bilingualLayout: 'interleaved',
+        languageOverrides: {}, // { [courseId]: { captionLanguage, secondaryLanguage } }
+        outlineFormat: 'checklist',
+        webhookUrl: '', // Empty disables the Send action
+        webhookToken: '', // Sent as "Authorization: Bearer <token>" when set
+        webhookHeaders: '', // Extra "Name: value" headers, one per line
+        llmMode: false,
+        llmChunkSize: 12000,
+        llmChunkUnit: 'characters',
+        llmPrompt: '',
+    };
+
+    // Formats offered for the course outline
+    const OUTLINE_FORMATS = {
+        checklist: 'Markdown checklist',
+        nested: 'Nested list',
+        json: 'JSON',
+    };
+
+    // Units the LLM mode chunk size can be given in
+    const CHUNK_UNITS = {
+        characters: 'characters',
+        tokens: 'estimated tokens',
+    };
+
+    // Layouts for bilingual text exports
+    const BILINGUAL_LAYOUTS = {
+        interleaved: 'Interleaved lines',
+        table: 'Two-column Markdown table',
+    };
+
+    // Output modes offered in the settings panel
+    const OUTPUT_MODES = {
+        plain: 'Plain Text (one line per cue)',
+        prose: 'Readable Prose (sentences & paragraphs)',
+        timestamped: 'Timestamped ([mm:ss])',
+        srt: 'SubRip Subtitles (.srt)',
+        vtt: 'WebVTT Subtitles (.vtt)',
+    };
+
+    // Output formats offered in the settings panel; see OUTPUT_FORMATTERS
+    const OUTPUT_FORMATS = {
+        markdown: 'Markdown (header from the template)',
+        yaml: 'Markdown with YAML front matter',
+        json: 'JSON (fields and timed cues)',
+        html: 'Standalone HTML page',
+    };
+
+    // File extension used when downloading each output mode
+    const FILE_EXTENSIONS = {
+        plain: 'md',
+        prose: 'md',
+        timestamped: 'md',
+        srt: 'srt',
+        vtt: 'vtt',
+    };
+
+    const PRESETS_KEY = 'udemyTranscriptPresets';
+
+    // Built-in presets, which can be reordered or made default but not renamed or deleted
+    const BUILTIN_PRESETS = {
+        'course-details': {
+            // Course Details: Everything except section/lecture
+            name: 'Course Details',
+            settings: {
+                includeCourseTitle: true,
+                includeCourseSubtitle: true,
+                includeSectionLecture: false,
+                includeInstructors: true,
+                includeRating: true,
+                includeLength: true,
+                includeLastUpdated: true,
+                includeCaptions: true,
+                includeLanguage: true,
+            },
+        },
+        'section-details': {
+            // Section Details: Only section/lecture info
+            name: 'Section Details',
+            settings: {
+                includeCourseTitle: false,
+                includeCourseSubtitle: false,
+                includeSectionLecture: true,
+                includeInstructors: false,
+                includeRating: false,
+                includeLength: false,
+                includeLastUpdated: false,
+                includeCaptions: false,
+                includeLanguage: false,
+            },
+        },
     };
 
+    // Ordered settings migrations. Each one upgrades settings stored under the previous schema
+    // version to its own; settings stored before versioning was introduced count as version 0.
+    const SETTINGS_MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Start versioning stored settings',
+            // Unversioned settings already use the current key names; validation drops the rest
+            migrate: settings => settings,
+        },
+    ];
+    const SETTINGS_SCHEMA_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+    // Settings restricted to a fixed set of values, keyed by setting name
+    const SETTING_CHOICES = {
+        outputMode: OUTPUT_MODES,
+        outputFormat: OUTPUT_FORMATS,
+        bilingualLayout: BILINGUAL_LAYOUTS,
+        outlineFormat: OUTLINE_FORMATS,
+        llmChunkUnit: CHUNK_UNITS,
+    };
+
+    // Identifies configuration files written by exportConfiguration
+    const CONFIG_FILE_FORMAT = 'udemy-transcript-copier-config';
+
+    // Prose mode reflow tuning
+    const PARAGRAPH_PAUSE_SECONDS = 2; // A silence at least this long starts a new paragraph
+    const MAX_SENTENCES_PER_PARAGRAPH = 5;
+    // "mm" alone is left in, since it is also the unit ("5 mm wide")
+    const FILLER_WORDS_REGEX = /\b(?:u+m+|u+h+|erm|hm+|mmm+|mm-hmm)\b,?/gi;
+    // Sound tags: "[MUSIC]"-style upper-case brackets, or these descriptions in brackets or parentheses
+    const SOUND_TAG_WORDS_REGEX = /^(?:music(?: playing)?|applause|laugh(?:s|ter|ing)?|chuckles?|inaudible|silence|noise|background noise|crosstalk|coughs?|sighs?|beeps?)$/i;
+
     let userSettings = { ...DEFAULT_SETTINGS };
+    let presetState = { presets: [], defaultPresetId: null };
+    let panelPresetId = null; // The preset loaded into the settings panel, until it is saved or replaced
+
+    /**
+     * Upgrades stored settings to the current schema version by running the pending migrations in order.
+     * @param {object} stored - The stored settings, including their schemaVersion if any.
+     * @returns {object} The migrated settings, without the schemaVersion.
+     */
+    function migrateSettings(stored) {
+        const { schemaVersion = 0, ...settings } = stored;
+        if (schemaVersion > SETTINGS_SCHEMA_VERSION) {
+            logger.warn(getPrefix(), `Settings were saved by a newer version of the script (schema ${schemaVersion}). Unknown keys will be dropped.`);
+        }
+        let migrated = settings;
+        for (const migration of SETTINGS_MIGRATIONS) {
+            if (migration.version > schemaVersion) {
+                migrated = migration.migrate(migrated);
+                logger.log(getPrefix(), `Migrated settings to schema ${migration.version}: ${migration.description}.`);
+            }
+        }
+        return migrated;
+    }
+
+    /**
+     * Keeps only the known settings whose values have the right type and, for settings with a
+     * fixed set of choices, a known value. Everything else is dropped with a warning.
+     * @param {object} settings - The settings to check; may be partial (e.g. a preset).
+     * @param {string} source - Where the settings came from, for the warning.
+     * @returns {object} The valid settings.
+     */
+    function validateSettings(settings, source) {
+        const valid = {};
+        const dropped = [];
+        for (const [key, value] of Object.entries(settings || {})) {
+            const defaultValue = DEFAULT_SETTINGS[key];
+            let ok = defaultValue !== undefined && typeof value === typeof defaultValue;
+            if (ok && SETTING_CHOICES[key]) {
+                ok = Object.prototype.hasOwnProperty.call(SETTING_CHOICES[key], value);
+            } else if (ok && typeof defaultValue === 'number') {
+                ok = Number.isFinite(value) && value > 0;
+            } else if (ok && key === 'languageOverrides') {
+                ok = value !== null && !Array.isArray(value) && Object.values(value).every(override =>
+                    override && typeof override.captionLanguage === 'string' && typeof override.secondaryLanguage === 'string');
+            }
+            if (ok) {
+                valid[key] = value;
+            } else {
+                dropped.push(key);
+            }
+        }
+        if (dropped.length > 0) {
+            logger.warn(getPrefix(), `Dropped unknown or invalid keys from ${source}: ${dropped.join(', ')}`);
+        }
+        return valid;
+    }
+
+    /**
+     * Turns stored or imported settings into a complete, current settings object.
+     * @param {object} stored - The settings as stored, including their schemaVersion if any.
+     * @param {string} source - Where the settings came from, for validation warnings.
+     * @returns {object} The migrated and validated settings, with defaults for anything missing.
+     */
+    function settingsFromStored(stored, source) {
+        return { ...DEFAULT_SETTINGS, ...validateSettings(migrateSettings(stored), source) };
+    }
+
+    /**
+     * Writes the current settings to Tampermonkey storage, tagged with the schema version.
+     */
+    async function storeSettings() {
+        await GM_setValue(SETTINGS_KEY, JSON.stringify({ schemaVersion: SETTINGS_SCHEMA_VERSION, ...userSettings }));
+    }
 
     /**
      * Loads settings from Tampermonkey storage or uses defaults.
      */
     async function loadSettings() {
-        const storedSettings = await GM_getValue(SETTINGS_KEY, JSON.stringify(DEFAULT_SETTINGS));
-        try {
-            const parsed = JSON.parse(storedSettings);
-            // Merge defaults with parsed to ensure new settings are added
-            userSettings = { ...DEFAULT_SETTINGS, ...parsed };
-            console.log(getPrefix(), 'Settings loaded:', userSettings);
-        } catch (e) {
-            console.error(getPrefix(), 'Error parsing stored settings. Using defaults.', e);
-            userSettings = { ...DEFAULT_SETTINGS };
+        const storedSettings = await GM_getValue(SETTINGS_KEY, null);
+        userSettings = { ...DEFAULT_SETTINGS };
+        if (storedSettings !== null) {
+            try {
+                userSettings = settingsFromStored(JSON.parse(storedSettings), 'stored settings');
+                // Write back whatever migration, validation or new defaults changed, so that happens once
+                if (JSON.stringify({ schemaVersion: SETTINGS_SCHEMA_VERSION, ...userSettings }) !== storedSettings) {
+                    await storeSettings();
+                }
+                logger.log(getPrefix(), 'Settings loaded:', userSettings);
+            } catch (e) {
+                logger.error(getPrefix(), 'Error parsing stored settings. Using defaults.', e);
+            }
+        }
+
+        await loadPresets();
+        // The default preset is a starting point; once settings are saved they are left as saved
+        if (storedSettings === null && presetState.defaultPresetId) {
+            await applyPreset(presetState.defaultPresetId);
         }
     }
 
@@ -74,19 +311,59 @@
         const panel = document.getElementById('utc-settings-panel');
         if (!panel) return;
 
-        // Update userSettings from checkboxes
-        for (const key in DEFAULT_SETTINGS) {
-            const checkbox = panel.querySelector(`input[name="${key}"]`);
-            if (checkbox) {
-                userSettings[key] = checkbox.checked;
+        const saveBtn = panel.querySelector('#utc-save-settings');
+        const newSettings = readSettingsFromPanel(panel);
+        if (newSettings.template.trim() && validateTemplate(newSettings.template).length > 0) {
+            logger.warn(getPrefix(), 'Not saving settings: the output template has errors.');
+            updateTemplatePreview(panel);
+            if (saveBtn) {
+                saveBtn.textContent = 'Fix Template Errors';
+                setTimeout(() => {
+                    saveBtn.textContent = 'Save Settings';
+                }, 2000);
+            }
+            return;
+        }
+        const { duplicates } = getShortcutConflicts(newSettings);
+        if (duplicates.length > 0) {
+            logger.warn(getPrefix(), 'Not saving settings: duplicate shortcuts.', duplicates);
+            updateShortcutConflicts(panel);
+            if (saveBtn) {
+                saveBtn.textContent = 'Fix Shortcut Conflicts';
+                setTimeout(() => {
+                    saveBtn.textContent = 'Save Settings';
+                }, 2000);
+            }
+            return;
+        }
+        // Languages marked as a course override are stored for this course and leave the global choice alone
+        const overrideBox = panel.querySelector('#utc-language-override');
+        const courseId = getCourseId(getCourseData());
+        if (overrideBox && courseId) {
+            const overrides = { ...userSettings.languageOverrides };
+            if (overrideBox.checked) {
+                overrides[courseId] = {
+                    captionLanguage: newSettings.captionLanguage,
+                    secondaryLanguage: newSettings.secondaryLanguage,
+                };
+                newSettings.captionLanguage = userSettings.captionLanguage;
+                newSettings.secondaryLanguage = userSettings.secondaryLanguage;
+            } else {
+                delete overrides[courseId];
             }
+            newSettings.languageOverrides = overrides;
         }
+        userSettings = newSettings;
+        // Saving a loaded preset applies it, so the preset shortcut carries on from there
+        if (panelPresetId) lastAppliedPresetId = panelPresetId;
+        panelPresetId = null;
 
-        await GM_setValue(SETTINGS_KEY, JSON.stringify(userSettings));
-        console.log(getPrefix(), 'Settings saved:', userSettings);
+        await storeSettings();
+        logger.log(getPrefix(), 'Settings saved:', userSettings);
+        updateSendButtonVisibility();
+        updateSelectionStatus(); // The caption language decides whether cue ranges can be copied
 
         // Show a brief "Saved!" message
-        const saveBtn = panel.querySelector('#utc-save-settings');
         if (saveBtn) {
             saveBtn.textContent = 'Saved!';
             setTimeout(() => {
@@ -96,50 +373,338 @@
     }
 
     /**
-     * Applies a preset configuration to the settings checkboxes.
-     * @param {string} presetName - The name of the preset to apply.
+     * Restores every setting to its default, then applies the default preset if one is set.
+     * Presets and the library are left alone.
+     */
+    async function resetSettings() {
+        userSettings = { ...DEFAULT_SETTINGS };
+        lastAppliedPresetId = null;
+        await storeSettings();
+        logger.log(getPrefix(), 'Settings reset to defaults.');
+        if (presetState.defaultPresetId) await applyPreset(presetState.defaultPresetId);
+        refreshSettingsPanel();
+    }
+
+    /**
+     * Downloads the settings and presets as a JSON file that can be imported elsewhere.
+     * The webhook token is left out, since configuration files are meant to be shared.
+     */
+    function exportConfiguration() {
+        const { webhookToken, ...settings } = userSettings;
+        const config = {
+            format: CONFIG_FILE_FORMAT,
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings,
+            presets: presetState,
+        };
+        downloadText(JSON.stringify(config, null, 2), 'udemy-transcript-copier-settings.json');
+    }
+
+    /**
+     * Replaces the settings and presets with those of an exported configuration file,
+     * migrating and validating them like stored settings. The local webhook token is kept
+     * unless the file brings its own.
+     * @param {string} text - The contents of the configuration file.
+     * @returns {Promise<void>} Rejects if the file is not a configuration file.
+     */
+    async function importConfiguration(text) {
+        const config = JSON.parse(text);
+        if (!config || config.format !== CONFIG_FILE_FORMAT || !config.settings || typeof config.settings !== 'object') {
+            throw new Error('Not a Udemy Transcript Copier settings file.');
+        }
+
+        const imported = settingsFromStored({ ...config.settings, schemaVersion: config.schemaVersion || 0 }, 'imported settings');
+        userSettings = {
+            ...imported,
+            webhookToken: config.settings.webhookToken ? imported.webhookToken : userSettings.webhookToken,
+        };
+        lastAppliedPresetId = null;
+        await storeSettings();
+        if (config.presets) {
+            presetState = normalizePresetState(config.presets);
+            await savePresets();
+        }
+        logger.log(getPrefix(), 'Configuration imported.');
+        refreshSettingsPanel();
+    }
+
+    /**
+     * Re-renders the settings panel, if present, after the settings were replaced wholesale.
      */
-    function applyPreset(presetName) {
+    function refreshSettingsPanel() {
         const panel = document.getElementById('utc-settings-panel');
-        if (!panel) return;
+        if (panel) {
+            renderPresets(panel);
+            loadSettingsToUI(panel.querySelector('#utc-settings-list'));
+        }
+        updateSendButtonVisibility();
+    }
 
-        let presetConfig = {};
-        
-        if (presetName === 'course-details') {
-            // Course Details: Everything except section/lecture
-            presetConfig = {
-                includeCourseTitle: true,
-                includeCourseSubtitle: true,
-                includeSectionLecture: false,
-                includeInstructors: true,
-                includeRating: true,
-                includeLength: true,
-                includeLastUpdated: true,
-                includeCaptions: true,
-                includeLanguage: true,
-            };
-        } else if (presetName === 'section-details') {
-            // Section Details: Only section/lecture info
-            presetConfig = {
-                includeCourseTitle: false,
-                includeCourseSubtitle: false,
-                includeSectionLecture: true,
-                includeInstructors: false,
-                includeRating: false,
-                includeLength: false,
-                includeLastUpdated: false,
-                includeCaptions: false,
-                includeLanguage: false,
-            };
+    /**
+     * Reads the (possibly unsaved) settings currently shown in the settings panel.
+     * @param {HTMLElement} panel - The settings panel.
+     * @returns {object} A full settings object.
+     */
+    function readSettingsFromPanel(panel) {
+        const settings = { ...userSettings };
+        for (const key in DEFAULT_SETTINGS) {
+            const input = panel.querySelector(`[name="${key}"]`);
+            if (input) {
+                if (input.type === 'checkbox') {
+                    settings[key] = input.checked;
+                } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+                    settings[key] = Number(input.value) > 0 ? Number(input.value) : DEFAULT_SETTINGS[key];
+                } else {
+                    settings[key] = input.value;
+                }
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Loads the stored presets, re-adding any built-in preset missing from the stored order.
+     */
+    async function loadPresets() {
+        const storedPresets = await GM_getValue(PRESETS_KEY, JSON.stringify({ presets: [], defaultPresetId: null }));
+        try {
+            presetState = normalizePresetState(JSON.parse(storedPresets));
+        } catch (e) {
+            logger.error(getPrefix(), 'Error parsing stored presets. Using built-ins only.', e);
+            presetState = normalizePresetState({});
         }
+        logger.log(getPrefix(), 'Presets loaded:', presetState);
+    }
+
+    /**
+     * Cleans up a stored or imported preset state: re-adds missing built-ins, drops invalid
+     * settings from custom presets and clears a default that no longer exists.
+     * @param {object} parsed - The parsed preset state.
+     * @returns {{presets: object[], defaultPresetId: string | null}} The usable preset state.
+     */
+    function normalizePresetState(parsed) {
+        const state = {
+            presets: Array.isArray(parsed.presets) ? parsed.presets : [],
+            defaultPresetId: parsed.defaultPresetId || null,
+        };
 
-        // Apply preset to checkboxes
-        for (const key in presetConfig) {
-            const checkbox = panel.querySelector(`input[name="${key}"]`);
-            if (checkbox) {
-                checkbox.checked = presetConfig[key];
+        // Built-ins are stored by id only so their configuration can evolve with the script
+        state.presets = state.presets
+            .filter(preset => preset && (preset.builtin ? BUILTIN_PRESETS[preset.id] : preset.id && preset.name))
+            .map(preset => (preset.builtin
+                ? { id: preset.id, builtin: true }
+                : { id: preset.id, name: preset.name, settings: validateSettings(preset.settings, `preset "${preset.name}"`) }));
+        for (const id in BUILTIN_PRESETS) {
+            if (!state.presets.some(preset => preset.id === id)) {
+                state.presets.push({ id, builtin: true });
             }
         }
+        if (!state.presets.some(preset => preset.id === state.defaultPresetId)) {
+            state.defaultPresetId = null;
+        }
+        return state;
+    }
+
+    /**
+     * Saves the presets to Tampermonkey storage.
+     */
+    async function savePresets() {
+        await GM_setValue(PRESETS_KEY, JSON.stringify(presetState));
+        logger.log(getPrefix(), 'Presets saved:', presetState);
+    }
+
+    /**
+     * Returns all presets in display order, with built-ins resolved to their configuration.
+     * @returns {{id: string, name: string, builtin: boolean, settings: object}[]} The presets.
+     */
+    function getPresets() {
+        return presetState.presets.map(preset => (preset.builtin
+            ? { id: preset.id, builtin: true, ...BUILTIN_PRESETS[preset.id] }
+            : { ...preset, builtin: false }));
+    }
+
+    /**
+     * Stores the settings currently shown in the panel as a new named preset.
+     * @param {HTMLElement} panel - The settings panel.
+     * @param {string} name - The preset name.
+     */
+    async function saveCurrentAsPreset(panel, name) {
+        const settings = readSettingsFromPanel(panel);
+        // Shortcuts are a per-user preference rather than part of an output configuration
+        for (const action of COMMAND_ACTIONS) {
+            if (action.settingKey) delete settings[action.settingKey];
+        }
+        // Per-course language overrides belong to the courses, and the send target to the user
+        delete settings.languageOverrides;
+        delete settings.webhookUrl;
+        delete settings.webhookToken;
+        delete settings.webhookHeaders;
+        presetState.presets.push({ id: `preset-${Date.now().toString(36)}`, name, settings });
+        await savePresets();
+        renderPresets(panel);
+    }
+
+    /**
+     * Renames a custom preset.
+     * @param {string} presetId - The preset id.
+     * @param {string} name - The new name.
+     */
+    async function renamePreset(presetId, name) {
+        const preset = presetState.presets.find(p => p.id === presetId);
+        if (!preset || preset.builtin) return;
+        preset.name = name;
+        await savePresets();
+    }
+
+    /**
+     * Deletes a custom preset. Built-in presets cannot be deleted.
+     * @param {string} presetId - The preset id.
+     */
+    async function deletePreset(presetId) {
+        const preset = presetState.presets.find(p => p.id === presetId);
+        if (!preset || preset.builtin) return;
+        presetState.presets = presetState.presets.filter(p => p.id !== presetId);
+        if (presetState.defaultPresetId === presetId) presetState.defaultPresetId = null;
+        await savePresets();
+    }
+
+    /**
+     * Moves a preset up or down in the display order.
+     * @param {string} presetId - The preset id.
+     * @param {number} offset - -1 to move up, 1 to move down.
+     */
+    async function movePreset(presetId, offset) {
+        const index = presetState.presets.findIndex(p => p.id === presetId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= presetState.presets.length) return;
+        const [preset] = presetState.presets.splice(index, 1);
+        presetState.presets.splice(target, 0, preset);
+        await savePresets();
+    }
+
+    /**
+     * Marks a preset as the default, loading it into the settings panel, or clears the default if it
+     * already is. The default preset is also applied when no settings are saved yet and after a reset,
+     * but never over settings the user saved afterwards.
+     * @param {HTMLElement} panel - The settings panel.
+     * @param {string} presetId - The preset id.
+     */
+    async function toggleDefaultPreset(panel, presetId) {
+        presetState.defaultPresetId = presetState.defaultPresetId === presetId ? null : presetId;
+        await savePresets();
+        if (presetState.defaultPresetId) loadPresetIntoPanel(panel, presetState.defaultPresetId);
+    }
+
+    /**
+     * Shows a preset on top of the settings in the panel without saving it, so Save Settings
+     * keeps it and closing the panel discards it like any other unsaved change.
+     * @param {HTMLElement} panel - The settings panel.
+     * @param {string} presetId - The id of the preset to load.
+     * @returns {boolean} True if the preset was found.
+     */
+    function loadPresetIntoPanel(panel, presetId) {
+        const preset = getPresets().find(p => p.id === presetId);
+        if (!preset) {
+            logger.warn(getPrefix(), `Preset "${presetId}" not found.`);
+            return false;
+        }
+        loadSettingsToUI(panel.querySelector('#utc-settings-list'), { ...readSettingsFromPanel(panel), ...preset.settings });
+        panelPresetId = preset.id;
+        logger.log(getPrefix(), `Preset "${preset.name}" loaded into the settings panel.`);
+        return true;
+    }
+
+    /**
+     * Applies a preset on top of the current settings and saves the result, as the preset
+     * shortcut does. Unsaved changes in the settings panel are replaced by the preset's values.
+     * @param {string} presetId - The id of the preset to apply.
+     */
+    async function applyPreset(presetId) {
+        const preset = getPresets().find(p => p.id === presetId);
+        if (!preset) {
+            logger.warn(getPrefix(), `Preset "${presetId}" not found.`);
+            return;
+        }
+
+        userSettings = { ...userSettings, ...preset.settings };
+        lastAppliedPresetId = preset.id;
+        await storeSettings();
+        logger.log(getPrefix(), `Preset "${preset.name}" applied.`);
+
+        const panel = document.getElementById('utc-settings-panel');
+        if (panel) {
+            loadSettingsToUI(panel.querySelector('#utc-settings-list'));
+        }
+    }
+
+    /**
+     * Renders the preset buttons and the preset management list from the stored presets.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    function renderPresets(panel) {
+        const buttonList = panel.querySelector('#utc-preset-buttons');
+        const manageList = panel.querySelector('#utc-preset-manage-list');
+        if (!buttonList || !manageList) return;
+
+        const presets = getPresets();
+        buttonList.innerHTML = '';
+        manageList.innerHTML = '';
+
+        presets.forEach((preset, index) => {
+            const isDefault = preset.id === presetState.defaultPresetId;
+
+            const button = document.createElement('button');
+            button.className = 'ud-btn ud-btn-xsmall ud-btn-secondary';
+            button.style.flex = '1';
+            button.textContent = isDefault ? `★ ${preset.name}` : preset.name;
+            button.title = `${isDefault ? 'Default preset. ' : ''}Fills in the settings below; Save Settings to keep them.`;
+            button.addEventListener('click', () => {
+                if (!loadPresetIntoPanel(panel, preset.id)) return;
+                button.textContent = 'Loaded; Save to Keep';
+                setTimeout(() => {
+                    button.textContent = isDefault ? `★ ${preset.name}` : preset.name;
+                }, 2000);
+            });
+            buttonList.appendChild(button);
+
+            const row = document.createElement('div');
+            row.className = 'ud-text-sm';
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '4px';
+
+            const name = document.createElement('span');
+            name.style.flex = '1';
+            name.textContent = preset.builtin ? `${preset.name} (built-in)` : preset.name;
+            row.appendChild(name);
+
+            const addAction = (label, title, handler, disabled = false) => {
+                const actionButton = document.createElement('button');
+                actionButton.className = 'ud-btn ud-btn-xsmall ud-btn-ghost';
+                actionButton.textContent = label;
+                actionButton.title = title;
+                actionButton.disabled = disabled;
+                actionButton.addEventListener('click', async () => {
+                    await handler();
+                    renderPresets(panel);
+                });
+                row.appendChild(actionButton);
+            };
+
+            addAction('↑', 'Move up', () => movePreset(preset.id, -1), index === 0);
+            addAction('↓', 'Move down', () => movePreset(preset.id, 1), index === presets.length - 1);
+            addAction(isDefault ? '★' : '☆', isDefault ? 'Unset default' : 'Set as default', () => toggleDefaultPreset(panel, preset.id));
+            addAction('Rename', 'Rename preset', async () => {
+                const newName = window.prompt('Preset name:', preset.name);
+                if (newName && newName.trim()) await renamePreset(preset.id, newName.trim());
+            }, preset.builtin);
+            addAction('Delete', 'Delete preset', async () => {
+                if (window.confirm(`Delete preset "${preset.name}"?`)) await deletePreset(preset.id);
+            }, preset.builtin);
+
+            manageList.appendChild(row);
+        });
     }
 
     /**
@@ -157,38 +722,232 @@
         panel.style.backgroundColor = '#f7f9fa';
 
         panel.innerHTML = `
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Output Mode</h4>
+            <select name="outputMode" class="ud-text-sm" style="width: 100%; margin-bottom: 15px; padding: 4px;">
+                ${Object.entries(OUTPUT_MODES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Output Format</h4>
+            <select name="outputFormat" class="ud-text-sm" style="width: 100%; margin-bottom: 5px; padding: 4px;">
+                ${Object.entries(OUTPUT_FORMATS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <p class="ud-text-xs" style="margin-bottom: 15px;">Used by Copy, Download, Send, the range and search copies and section or course exports. LLM parts always use the Markdown template, and subtitle modes always produce plain subtitle files.</p>
+            <label class="ud-toggle-input-container ud-text-sm" style="margin-bottom: 15px;">
+                <input type="checkbox" class="ud-real-toggle-input" name="removeFillers">
+                <svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-xsmall ud-fake-toggle-input ud-fake-toggle-checkbox">
+                    <use xlink:href="#icon-tick"></use>
+                </svg>
+                <span>Remove filler words and [sound] tags (prose mode)</span>
+            </label>
+            <label class="ud-toggle-input-container ud-text-sm" style="margin-bottom: 15px;">
+                <input type="checkbox" class="ud-real-toggle-input" name="richClipboard">
+                <svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-xsmall ud-fake-toggle-input ud-fake-toggle-checkbox">
+                    <use xlink:href="#icon-tick"></use>
+                </svg>
+                <span>Copy with formatting for Google Docs, Word and Notion</span>
+            </label>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Caption Language</h4>
+            <div style="display: flex; flex-direction: column; gap: 6px; margin-bottom: 15px;">
+                <label class="ud-text-sm" style="display: flex; align-items: center; gap: 8px;">
+                    <span style="flex: 1;">Export language</span>
+                    <select name="captionLanguage" class="ud-text-sm" style="width: 180px; padding: 4px;"></select>
+                </label>
+                <label class="ud-text-sm" style="display: flex; align-items: center; gap: 8px;">
+                    <span style="flex: 1;">Second language</span>
+                    <select name="secondaryLanguage" class="ud-text-sm" style="width: 180px; padding: 4px;"></select>
+                </label>
+                <label class="ud-text-sm" style="display: flex; align-items: center; gap: 8px;">
+                    <span style="flex: 1;">Bilingual layout</span>
+                    <select name="bilingualLayout" class="ud-text-sm" style="width: 180px; padding: 4px;">
+                        ${Object.entries(BILINGUAL_LAYOUTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="ud-toggle-input-container ud-text-sm">
+                    <input type="checkbox" class="ud-real-toggle-input" id="utc-language-override">
+                    <svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-xsmall ud-fake-toggle-input ud-fake-toggle-checkbox">
+                        <use xlink:href="#icon-tick"></use>
+                    </svg>
+                    <span>Use these languages for this course only</span>
+                </label>
+                <p id="utc-language-hint" class="ud-text-xs" style="display: none; margin: 0;"></p>
+            </div>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Course Outline Format</h4>
+            <select name="outlineFormat" class="ud-text-sm" style="width: 100%; margin-bottom: 15px; padding: 4px;">
+                ${Object.entries(OUTLINE_FORMATS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Download Filename</h4>
+            <input type="text" name="filenamePattern" class="ud-text-sm" style="width: 100%; padding: 4px;">
+            <p class="ud-text-xs" style="margin: 4px 0 15px;">Placeholders: {courseTitle}, {sectionNumber}, {sectionTitle}, {lectureNumber}, {lectureTitle}</p>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Output Template</h4>
+            <textarea name="template" rows="8" class="ud-text-sm" style="width: 100%; padding: 4px; font-family: monospace;"
+                placeholder="Leave empty to build the template from the metadata toggles below."></textarea>
+            <p class="ud-text-xs" style="margin: 4px 0;">
+                Placeholders: ${Object.keys(TEMPLATE_FIELDS).map(field => `{{${field}}}`).join(', ')}.
+                Wrap text in {{#field}}...{{/field}} to drop it when the field is missing.
+                {{transcript}} must appear once, outside any block.
+            </p>
+            <div id="utc-template-errors" class="ud-text-xs" style="display: none; color: #b32d0f; margin-bottom: 4px;"></div>
+            <button id="utc-template-default" class="ud-btn ud-btn-xsmall ud-btn-secondary" style="margin-bottom: 8px;">Edit Default Template</button>
+            <pre id="utc-template-preview" class="ud-text-xs" style="max-height: 200px; overflow: auto; white-space: pre-wrap; padding: 8px; margin-bottom: 15px; border: 1px solid #d1d7dc; background-color: #fff;"></pre>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">LLM Mode</h4>
+            <label class="ud-toggle-input-container ud-text-sm" style="margin-bottom: 6px;">
+                <input type="checkbox" class="ud-real-toggle-input" name="llmMode">
+                <svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-xsmall ud-fake-toggle-input ud-fake-toggle-checkbox">
+                    <use xlink:href="#icon-tick"></use>
+                </svg>
+                <span>Split copies into parts for LLM prompts</span>
+            </label>
+            <div style="display: flex; gap: 8px; margin-bottom: 6px;">
+                <input type="number" name="llmChunkSize" min="500" step="500" class="ud-text-sm" style="flex: 1; padding: 4px;">
+                <select name="llmChunkUnit" class="ud-text-sm" style="flex: 1; padding: 4px;">
+                    ${Object.entries(CHUNK_UNITS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </div>
+            <textarea name="llmPrompt" rows="3" class="ud-text-sm" style="width: 100%; padding: 4px;"
+                placeholder="Prompt to put before every part, e.g. Summarise this part of {{lecture}}. Wait for all parts before answering."></textarea>
+            <p class="ud-text-xs" style="margin: 4px 0 15px;">The prompt, part number and metadata header count towards the part size.</p>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Send Target</h4>
+            <input type="url" name="webhookUrl" class="ud-text-sm" placeholder="https://localhost:27124/transcripts" style="width: 100%; padding: 4px; margin-bottom: 6px;">
+            <input type="password" name="webhookToken" class="ud-text-sm" placeholder="Bearer token (optional)" autocomplete="off" style="width: 100%; padding: 4px; margin-bottom: 6px;">
+            <textarea name="webhookHeaders" rows="2" class="ud-text-sm" style="width: 100%; padding: 4px; font-family: monospace;"
+                placeholder="Extra headers, one per line, e.g. X-Vault: Notes"></textarea>
+            <div style="display: flex; gap: 8px; margin: 6px 0 4px;">
+                <button id="utc-webhook-test" class="ud-btn ud-btn-xsmall ud-btn-secondary">Test Connection</button>
+                <button id="utc-webhook-flush" class="ud-btn ud-btn-xsmall ud-btn-ghost">Retry Pending Sends</button>
+            </div>
+            <p id="utc-webhook-status" class="ud-text-xs" style="margin: 0 0 15px;"></p>
+            <h4 class="ud-heading-md" style="margin-bottom: 15px;">Keyboard Shortcuts</h4>
+            <div style="display: flex; flex-direction: column; gap: 6px;">
+                ${createShortcutRowsHTML()}
+            </div>
+            <div id="utc-shortcut-conflicts" class="ud-text-xs" style="display: none; color: #b32d0f; margin-top: 4px;"></div>
+            <p class="ud-text-xs" style="margin: 4px 0 15px;">Focus a field and press a key combination; Backspace clears it.</p>
             <h4 class="ud-heading-md" style="margin-bottom: 15px;">Metadata to Include</h4>
-            <div style="display: flex; gap: 8px; margin-bottom: 15px;">
-                <button id="utc-preset-course" class="ud-btn ud-btn-xsmall ud-btn-secondary" style="flex: 1;">Course Details</button>
-                <button id="utc-preset-section" class="ud-btn ud-btn-xsmall ud-btn-secondary" style="flex: 1;">Section Details</button>
+            <div id="utc-preset-buttons" style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px;">
+                <!-- Preset buttons will be injected here by renderPresets -->
             </div>
+            <details style="margin-bottom: 15px;">
+                <summary class="ud-text-sm" style="cursor: pointer;">Manage Presets</summary>
+                <div id="utc-preset-manage-list" style="display: flex; flex-direction: column; gap: 4px; margin: 8px 0;"></div>
+                <div style="display: flex; gap: 8px;">
+                    <input type="text" id="utc-preset-name" class="ud-text-sm" placeholder="New preset name" style="flex: 1; padding: 4px;">
+                    <button id="utc-preset-save" class="ud-btn ud-btn-xsmall ud-btn-secondary">Save Current</button>
+                </div>
+            </details>
             <div id="utc-settings-list" style="display: flex; flex-direction: column; gap: 10px;">
                 <!-- Checkboxes will be injected here by loadSettingsToUI -->
             </div>
             <div style="display: flex; gap: 10px; margin-top: 15px;">
                 <button id="utc-save-settings" class="ud-btn ud-btn-small ud-btn-primary">Save Settings</button>
                 <button id="utc-close-settings" class="ud-btn ud-btn-small ud-btn-secondary">Close</button>
+                <button id="utc-open-library" class="ud-btn ud-btn-small ud-btn-ghost" style="margin-left: auto;">Library</button>
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 10px;">
+                <button id="utc-export-config" class="ud-btn ud-btn-xsmall ud-btn-secondary">Export Settings</button>
+                <button id="utc-import-config" class="ud-btn ud-btn-xsmall ud-btn-secondary">Import Settings</button>
+                <button id="utc-reset-settings" class="ud-btn ud-btn-xsmall ud-btn-ghost">Reset to Defaults</button>
+                <input type="file" id="utc-import-file" accept=".json,application/json" style="display: none;">
+            </div>
+            <p id="utc-config-status" class="ud-text-xs" style="display: none; margin: 4px 0 0;"></p>
+            <button id="utc-run-diagnostics" class="ud-btn ud-btn-xsmall ud-btn-ghost" style="margin-top: 10px;">Run Diagnostics</button>
+            <div id="utc-diagnostics" style="display: none; margin-top: 8px;">
+                <textarea id="utc-diagnostics-report" readonly rows="10" class="ud-text-xs" style="width: 100%; padding: 4px; font-family: monospace;"></textarea>
+                <button id="utc-copy-diagnostics" class="ud-btn ud-btn-xsmall ud-btn-secondary">Copy Report</button>
             </div>
         `;
 
         // Add event listeners
-        panel.querySelector('#utc-preset-course').addEventListener('click', () => applyPreset('course-details'));
-        panel.querySelector('#utc-preset-section').addEventListener('click', () => applyPreset('section-details'));
+        panel.querySelector('#utc-preset-save').addEventListener('click', async () => {
+            const nameInput = panel.querySelector('#utc-preset-name');
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.focus();
+                return;
+            }
+            await saveCurrentAsPreset(panel, name);
+            nameInput.value = '';
+        });
+        panel.querySelector('#utc-template-default').addEventListener('click', () => {
+            panel.querySelector('textarea[name="template"]').value = buildDefaultTemplate(readSettingsFromPanel(panel), !!getCourseData());
+            updateTemplatePreview(panel);
+        });
+        panel.addEventListener('keydown', handleShortcutFieldKeydown);
+        panel.addEventListener('input', () => {
+            updateTemplatePreview(panel);
+            updateShortcutConflicts(panel);
+        });
+        panel.addEventListener('change', () => {
+            updateTemplatePreview(panel);
+            updateLanguageHint(panel);
+        });
         panel.querySelector('#utc-save-settings').addEventListener('click', saveSettings);
         panel.querySelector('#utc-close-settings').addEventListener('click', () => {
             panel.style.display = 'none';
         });
+        panel.querySelector('#utc-open-library').addEventListener('click', toggleLibraryPanel);
+        panel.querySelector('#utc-webhook-test').addEventListener('click', () => testWebhookConnection(panel));
+        panel.querySelector('#utc-webhook-flush').addEventListener('click', async () => {
+            updateWebhookStatus('Retrying...');
+            try {
+                const pending = await flushWebhookQueue();
+                updateWebhookStatus(pending > 0 ? `${pending} send(s) still pending.` : 'All sends delivered.');
+            } catch (e) {
+                logger.error(getPrefix(), 'Failed to flush the webhook queue:', e);
+                updateWebhookStatus('Retry failed; see the console for details.');
+            }
+        });
+        const showConfigStatus = message => {
+            const status = panel.querySelector('#utc-config-status');
+            status.textContent = message;
+            status.style.display = 'block';
+        };
+        panel.querySelector('#utc-export-config').addEventListener('click', exportConfiguration);
+        panel.querySelector('#utc-import-config').addEventListener('click', () => panel.querySelector('#utc-import-file').click());
+        panel.querySelector('#utc-import-file').addEventListener('change', async event => {
+            const fileInput = event.currentTarget;
+            const file = fileInput.files[0];
+            fileInput.value = ''; // Allow importing the same file again
+            if (!file) return;
+            try {
+                await importConfiguration(await file.text());
+                showConfigStatus(`Imported settings from "${file.name}".`);
+            } catch (e) {
+                logger.error(getPrefix(), 'Failed to import settings:', e);
+                showConfigStatus(`Import failed: ${e.message}`);
+            }
+        });
+        panel.querySelector('#utc-reset-settings').addEventListener('click', async () => {
+            if (!window.confirm('Reset every setting to its default? The default preset, if set, is applied again; presets and the library are kept.')) return;
+            await resetSettings();
+            showConfigStatus('Settings reset to defaults.');
+        });
+        panel.querySelector('#utc-run-diagnostics').addEventListener('click', () => {
+            panel.querySelector('#utc-diagnostics-report').value = runDiagnostics();
+            panel.querySelector('#utc-diagnostics').style.display = 'block';
+        });
+        panel.querySelector('#utc-copy-diagnostics').addEventListener('click', async event => {
+            const copyButton = event.currentTarget;
+            const copied = await copyToClipboard(panel.querySelector('#utc-diagnostics-report').value);
+            copyButton.textContent = copied ? 'Copied!' : 'Copy Failed!';
+            setTimeout(() => { copyButton.textContent = 'Copy Report'; }, 2000);
+        });
 
+        renderPresets(panel);
         loadSettingsToUI(panel.querySelector('#utc-settings-list'));
+        loadWebhookQueue().then(queue => {
+            updateWebhookStatus(queue.length > 0 ? `${queue.length} send(s) pending.` : null);
+        });
         return panel;
     }
 
     /**
-     * Populates the settings panel with checkboxes based on userSettings.
+     * Populates the settings panel with checkboxes based on userSettings,
+     * and syncs the controls placed elsewhere in the panel (such as the output mode select).
      * @param {HTMLElement} listElement - The element to inject checkboxes into.
+     * @param {object} [settings] - The settings to show; the saved settings by default.
      */
-    function loadSettingsToUI(listElement) {
+    function loadSettingsToUI(listElement, settings = userSettings) {
         if (!listElement) return;
+        panelPresetId = null;
 
         const labels = {
             includeCourseTitle: 'Course Title',
@@ -200,12 +959,28 @@
             includeLastUpdated: 'Last Updated Date',
             includeCaptions: 'Caption Languages',
             includeLanguage: 'Course Language',
+            includeNotes: 'My Notes (inline in timestamped mode)',
+            includeResources: 'Lecture Resources & Links',
+            includeQuestions: 'Top Q&A Threads',
         };
 
+        const panel = listElement.closest('#utc-settings-panel');
+        if (panel) renderLanguageOptions(panel);
         let checkboxesHTML = '';
-        for (const key in userSettings) {
+        for (const key in DEFAULT_SETTINGS) {
+            // Settings with their own control elsewhere in the panel are synced, not listed
+            const input = panel ? panel.querySelector(`[name="${key}"]`) : null;
+            if (input && !listElement.contains(input)) {
+                if (input.type === 'checkbox') {
+                    input.checked = settings[key];
+                } else {
+                    input.value = settings[key];
+                }
+                continue;
+            }
+            if (typeof settings[key] !== 'boolean') continue;
             const label = labels[key] || key;
-            const checked = userSettings[key] ? 'checked' : '';
+            const checked = settings[key] ? 'checked' : '';
             checkboxesHTML += `
                 <label class="ud-toggle-input-container ud-text-sm">
                     <input type="checkbox" class="ud-real-toggle-input" name="${key}" ${checked}>
@@ -217,299 +992,4523 @@
             `;
         }
         listElement.innerHTML = checkboxesHTML;
+        if (panel) {
+            syncLanguageOverrideToUI(panel);
+            updateLanguageHint(panel);
+            updateTemplatePreview(panel);
+            updateShortcutConflicts(panel);
+        }
     }
 
     /**
-     * Toggles the visibility of the settings panel.
+     * Fills the caption language selects with the course's caption languages, keeping any
+     * saved choice selectable even if this course does not offer it.
+     * @param {HTMLElement} panel - The settings panel.
      */
-    function toggleSettingsPanel() {
-        const panel = document.getElementById('utc-settings-panel');
-        if (panel) {
-            const isHidden = panel.style.display === 'none';
-            panel.style.display = isHidden ? 'block' : 'none';
-            if (isHidden) {
-                // Re-load settings into UI in case they were changed elsewhere
-                loadSettingsToUI(panel.querySelector('#utc-settings-list'));
+    function renderLanguageOptions(panel) {
+        const courseData = getCourseData();
+        const leadData = courseData && courseData.courseLeadData;
+        const languages = new Set((leadData && leadData.captionedLanguages) || []);
+        const override = getLanguageSettings(getCourseId(courseData));
+        [userSettings.captionLanguage, userSettings.secondaryLanguage, override.captionLanguage, override.secondaryLanguage]
+            .filter(Boolean)
+            .forEach(language => languages.add(language));
+
+        const selects = [
+            ['captionLanguage', 'Same as transcript panel'],
+            ['secondaryLanguage', 'None'],
+        ];
+        for (const [name, emptyLabel] of selects) {
+            const select = panel.querySelector(`select[name="${name}"]`);
+            if (!select) continue;
+            select.innerHTML = '';
+            select.appendChild(new Option(emptyLabel, ''));
+            for (const language of languages) {
+                select.appendChild(new Option(language, language));
             }
         }
     }
 
-
-    // --- 3. Core Functionality ---
+    /**
+     * Shows the current course's language override, if any, in the settings panel.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    function syncLanguageOverrideToUI(panel) {
+        const overrideBox = panel.querySelector('#utc-language-override');
+        if (!overrideBox) return;
+        const courseId = getCourseId(getCourseData());
+        const override = courseId ? userSettings.languageOverrides[courseId] : null;
+        overrideBox.checked = !!override;
+        if (override) {
+            panel.querySelector('select[name="captionLanguage"]').value = override.captionLanguage;
+            panel.querySelector('select[name="secondaryLanguage"]').value = override.secondaryLanguage;
+        }
+    }
+
+    /**
+     * Explains under the language choices where the second language is not used, so a bilingual
+     * setting never goes missing from an export without notice.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    function updateLanguageHint(panel) {
+        const hint = panel.querySelector('#utc-language-hint');
+        if (!hint) return;
+        const settings = readSettingsFromPanel(panel);
+        if (!settings.secondaryLanguage) {
+            hint.style.display = 'none';
+            return;
+        }
+        hint.textContent = settings.outputMode === 'prose'
+            ? 'Prose mode does not support a second language, so copies use the export language only. Section and course exports do too.'
+            : 'Section and course exports use the export language only.';
+        hint.style.display = 'block';
+    }
+
+    /**
+     * Toggles the visibility of the settings panel.
+     */
+    function toggleSettingsPanel() {
+        const panel = document.getElementById('utc-settings-panel');
+        if (panel) {
+            const isHidden = panel.style.display === 'none';
+            panel.style.display = isHidden ? 'block' : 'none';
+            if (isHidden) {
+                // Re-load settings into UI in case they were changed elsewhere
+                loadSettingsToUI(panel.querySelector('#utc-settings-list'));
+            }
+        }
+    }
+
+
+    // --- 3. Selector Registry ---
+    // Every page element or data field the script reads, with strategies tried in order until
+    // one resolves. Udemy's hashed CSS-module class names (e.g. "--s5jCa") change on redeploys,
+    // so each hashed class has a prefix-matched fallback, and data-purpose attributes or
+    // course data JSON paths back them up where they exist.
+    //
+    // Strategy types:
+    //   selector    - root.querySelector(value)
+    //   classPrefix - an element matching base whose class starts with value, ignoring the hash suffix
+    //   closest     - root.closest(value), for fields scoped to an ancestor
+    //   attribute   - the attribute of the element matching selector
+    //   json        - a dotted path into the course data blob
+    // A field with a scope is looked up inside the element resolved for that other field.
+    const SELECTOR_REGISTRY = {
+        courseDataBlob: {
+            label: 'Course data JSON blob',
+            strategies: [
+                { type: 'selector', value: '.ud-app-loader[data-module-args]' },
+                { type: 'selector', value: '[data-module-id="course-taking"][data-module-args]' },
+            ],
+        },
+        courseId: {
+            label: 'Course id',
+            strategies: [
+                { type: 'json', path: 'courseId' },
+                { type: 'json', path: 'courseLeadData.id' },
+                { type: 'attribute', selector: 'body', attribute: 'data-clp-course-id' },
+            ],
+        },
+        courseTitle: {
+            label: 'Course title',
+            strategies: [
+                { type: 'selector', value: 'span.curriculum-item-view--course-title--s5jCa' },
+                { type: 'classPrefix', base: 'span', value: 'curriculum-item-view--course-title--' },
+                { type: 'json', path: 'courseLeadData.title' },
+            ],
+        },
+        courseSubtitle: {
+            label: 'Course subtitle',
+            strategies: [
+                { type: 'selector', value: 'div[data-purpose="title"]' },
+                { type: 'json', path: 'courseLeadData.headline' },
+            ],
+        },
+        language: {
+            label: 'Course language',
+            // The caption element also holds an icon and a "[Auto]" badge; only its own text is wanted
+            extract: el => Array.from(el.childNodes)
+                .filter(node => node.nodeType === TEXT_NODE)
+                .map(node => node.textContent.trim())
+                .join(''),
+            strategies: [
+                { type: 'selector', value: 'div[data-purpose="language"] .course-lead--caption---JHbX' },
+                { type: 'classPrefix', base: 'div[data-purpose="language"] ', value: 'course-lead--caption--' },
+                { type: 'json', path: 'courseLeadData.localeSimpleEnglishTitle' },
+            ],
+        },
+        currentLectureItem: {
+            label: 'Current lecture item',
+            strategies: [
+                { type: 'selector', value: 'li[aria-current="true"]' },
+                { type: 'selector', value: '[data-purpose^="curriculum-item-"][aria-current="true"]' },
+                { type: 'classPrefix', base: 'li', value: 'curriculum-item-link--is-current--' },
+            ],
+        },
+        lectureTitle: {
+            label: 'Lecture title',
+            scope: 'currentLectureItem',
+            strategies: [
+                { type: 'selector', value: 'span[data-purpose="item-title"]' },
+                { type: 'classPrefix', base: 'span', value: 'curriculum-item-link--curriculum-item-title-content--' },
+            ],
+        },
+        sectionPanel: {
+            label: 'Current section panel',
+            scope: 'currentLectureItem',
+            strategies: [
+                { type: 'closest', value: 'div[data-purpose*="section-panel-"]' },
+                { type: 'closest', value: '[data-purpose^="section-panel"]' },
+            ],
+        },
+        sectionTitle: {
+            label: 'Section title',
+            scope: 'sectionPanel',
+            strategies: [
+                { type: 'selector', value: 'span.ud-accordion-panel-title > span' },
+                { type: 'classPrefix', base: 'span', value: 'section--section-title--' },
+                { type: 'selector', value: 'h3' },
+            ],
+        },
+        curriculumItems: {
+            label: 'Curriculum sidebar items',
+            multiple: true,
+            strategies: [
+                { type: 'selector', value: '[data-purpose^="curriculum-item-"]' },
+                { type: 'selector', value: 'div[data-purpose="curriculum-section-container"] li' },
+            ],
+        },
+        curriculumItemTitle: {
+            label: 'Curriculum item title',
+            strategies: [
+                { type: 'selector', value: 'span[data-purpose="item-title"]' },
+                { type: 'classPrefix', base: 'span', value: 'curriculum-item-link--curriculum-item-title-content--' },
+            ],
+        },
+        curriculumItemProgress: {
+            label: 'Curriculum item completion checkbox',
+            strategies: [
+                { type: 'selector', value: 'input[data-purpose="progress-toggle-button"]' },
+                { type: 'classPrefix', base: 'input', value: 'curriculum-item-link--progress-toggle--' },
+                { type: 'selector', value: 'input[type="checkbox"]' },
+            ],
+        },
+        transcriptSidebar: {
+            label: 'Transcript sidebar',
+            strategies: [
+                { type: 'selector', value: 'div[data-purpose="sidebar-content"].sidebar--transcript--D0uuI' },
+                { type: 'classPrefix', base: 'div[data-purpose="sidebar-content"]', value: 'sidebar--transcript--' },
+            ],
+        },
+        transcriptToggle: {
+            label: 'Transcript sidebar toggle',
+            strategies: [
+                { type: 'selector', value: 'button[data-purpose="transcript-toggle"]' },
+            ],
+        },
+        transcriptPanel: {
+            label: 'Transcript panel',
+            strategies: [
+                { type: 'selector', value: 'div[data-purpose="transcript-panel"]' },
+                { type: 'classPrefix', base: 'div', value: 'transcript--transcript-panel--' },
+            ],
+        },
+        transcriptCue: {
+            label: 'Transcript cues',
+            scope: 'transcriptPanel',
+            multiple: true,
+            strategies: [
+                { type: 'selector', value: 'p[data-purpose="transcript-cue"]' },
+                { type: 'selector', value: '[data-purpose="transcript-cue"]' },
+                { type: 'classPrefix', base: 'p', value: 'transcript--cue-container--' },
+            ],
+        },
+        videoPlayer: {
+            label: 'Video player',
+            strategies: [
+                { type: 'selector', value: 'div[data-purpose="video-player"] video' },
+                { type: 'selector', value: 'div[class*="video-player--container--"] video' },
+                { type: 'selector', value: 'video' },
+            ],
+        },
+        cueText: {
+            label: 'Transcript cue texts',
+            scope: 'transcriptPanel',
+            multiple: true,
+            strategies: [
+                { type: 'selector', value: 'span[data-purpose="cue-text"]' },
+                { type: 'selector', value: '[data-purpose="transcript-cue"] span' },
+                { type: 'classPrefix', base: 'span', value: 'transcript--cue-text--' },
+            ],
+        },
+    };
+
+    // Node type constants, spelled out so the core also runs against DOM implementations without a global Node
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+
+    /**
+     * Tells whether a resolved value is a DOM element, whichever DOM implementation it comes from.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True for elements.
+     */
+    function isElement(value) {
+        return value !== null && typeof value === 'object' && value.nodeType === ELEMENT_NODE;
+    }
+
+    /**
+     * Reads a dotted path such as "courseLeadData.id" from an object.
+     * @param {object | null} object - The object to read from.
+     * @param {string} path - The dotted path.
+     * @returns {*} The value, or undefined if any part of the path is missing.
+     */
+    function getJsonPath(object, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    /**
+     * Describes a strategy for logs and diagnostics.
+     * @param {object} strategy - The strategy.
+     * @returns {string} A short description.
+     */
+    function describeStrategy(strategy) {
+        switch (strategy.type) {
+            case 'classPrefix': return `classPrefix ${strategy.base || ''}[class*="${strategy.value}"]`;
+            case 'attribute': return `attribute ${strategy.selector}[${strategy.attribute}]`;
+            case 'json': return `json ${strategy.path}`;
+            default: return `${strategy.type} ${strategy.value}`;
+        }
+    }
+
+    /**
+     * Runs a single strategy.
+     * @param {object} strategy - The strategy to run.
+     * @param {Element | Document} root - The element to search in.
+     * @param {function(): (object | null)} getData - Returns the course data blob for json strategies.
+     * @param {boolean} multiple - Whether to return every match rather than the first.
+     * @returns {*} The resolved element(s) or value; null, undefined or an empty list on failure.
+     */
+    function runStrategy(strategy, root, getData, multiple) {
+        const query = selector => (multiple ? Array.from(root.querySelectorAll(selector)) : root.querySelector(selector));
+        switch (strategy.type) {
+            case 'selector': return query(strategy.value);
+            case 'classPrefix': return query(`${strategy.base || ''}[class*="${strategy.value}"]`);
+            case 'closest': return root.closest ? root.closest(strategy.value) : null;
+            case 'attribute': {
+                const el = root.querySelector(strategy.selector) || (root.matches && root.matches(strategy.selector) ? root : null);
+                return el ? el.getAttribute(strategy.attribute) : null;
+            }
+            case 'json': return getJsonPath(getData(), strategy.path);
+            default:
+                logger.error(getPrefix(), `Unknown selector strategy type "${strategy.type}".`);
+                return null;
+        }
+    }
+
+    /**
+     * Resolves a registry field by trying its strategies in order.
+     * @param {string} name - The SELECTOR_REGISTRY key.
+     * @param {{root?: Element | Document, page?: Document, courseData?: object | null}} [options] - The
+     *     element to search in (defaults to the field's scope, or the page), the page document (defaults
+     *     to the root's document, else the live document) and the course data for json strategies (parsed on demand if not given).
+     * @returns {{value: *, strategy: object | null, attempts: string[]}} The resolved value (an element,
+     *     element list or JSON value; null if unresolved), the strategy that worked and a trace of attempts.
+     */
+    function resolveField(name, options = {}) {
+        const field = SELECTOR_REGISTRY[name];
+        const attempts = [];
+        let root = options.root;
+        if (!root && field.scope) {
+            const scope = resolveField(field.scope, options);
+            if (!scope.value) {
+                attempts.push(`scope "${field.scope}" not found`);
+                return { value: null, strategy: null, attempts };
+            }
+            root = scope.value;
+        }
+        // Elements know their own document, so a root from a parsed page never falls back to the live one
+        const page = options.page || (root && (root.ownerDocument || root)) || document;
+        root = root || page;
+
+        let courseData = options.courseData;
+        const getData = () => (courseData === undefined ? (courseData = getCourseData(page)) : courseData);
+
+        for (const strategy of field.strategies) {
+            let value;
+            try {
+                value = runStrategy(strategy, root, getData, field.multiple);
+            } catch (e) {
+                attempts.push(`${describeStrategy(strategy)}: error ${e.message}`);
+                continue;
+            }
+            const found = field.multiple ? value && value.length > 0 : value !== null && value !== undefined && value !== '';
+            attempts.push(`${describeStrategy(strategy)}: ${found ? 'ok' : 'no match'}`);
+            if (found) return { value, strategy, attempts };
+        }
+        return { value: field.multiple ? [] : null, strategy: null, attempts };
+    }
+
+    /**
+     * Resolves a registry field to an element.
+     * @param {string} name - The SELECTOR_REGISTRY key.
+     * @param {Element | Document} [root] - The element to search in.
+     * @returns {Element | null} The element, or null if no strategy matched.
+     */
+    function queryField(name, root) {
+        const { value } = resolveField(name, { root });
+        return isElement(value) ? value : null;
+    }
+
+    /**
+     * Resolves a registry field to every matching element.
+     * @param {string} name - The SELECTOR_REGISTRY key of a field marked multiple.
+     * @param {Element | Document} [root] - The element to search in.
+     * @returns {Element[]} The elements; empty if no strategy matched.
+     */
+    function queryAllFields(name, root) {
+        return resolveField(name, { root }).value;
+    }
+
+    /**
+     * Resolves a registry field to text: an element's text content, or a JSON value.
+     * @param {string} name - The SELECTOR_REGISTRY key.
+     * @param {object | null} [courseData] - The course data for json strategies.
+     * @param {Document} [page] - The page to read; defaults to the live document.
+     * @returns {string} The text, or an empty string if no strategy matched.
+     */
+    function resolveText(name, courseData, page) {
+        const { value } = resolveField(name, { courseData, page });
+        if (value === null || value === undefined) return '';
+        if (isElement(value)) {
+            const extract = SELECTOR_REGISTRY[name].extract;
+            return extract ? extract(value) : value.textContent.trim();
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * Resolves every registry field and reports which strategy worked, for bug reports.
+     * @returns {string} The plain-text diagnostics report.
+     */
+    function runDiagnostics() {
+        const courseData = getCourseData();
+        const version = typeof GM_info !== 'undefined' ? GM_info.script.version : 'unknown';
+        const lines = [
+            'Udemy Transcript Copier diagnostics',
+            `Script version: ${version}`,
+            `Date: ${new Date().toISOString()}`,
+            `URL: ${window.location.href}`,
+            `User agent: ${navigator.userAgent}`,
+            '',
+        ];
+
+        let failures = 0;
+        for (const [name, field] of Object.entries(SELECTOR_REGISTRY)) {
+            const result = resolveField(name, { courseData });
+            const count = field.multiple ? ` (${result.value.length} found)` : '';
+            if (result.strategy) {
+                const strategyIndex = field.strategies.indexOf(result.strategy) + 1;
+                const fallbackNote = strategyIndex > 1 ? ` [fallback ${strategyIndex}/${field.strategies.length}]` : '';
+                lines.push(`OK    ${field.label}${count}: via ${describeStrategy(result.strategy)}${fallbackNote}`);
+            } else {
+                failures++;
+                lines.push(`FAIL  ${field.label}: ${result.attempts.join('; ')}`);
+            }
+        }
+
+        lines.push('', failures === 0 ? 'All fields resolved.' : `${failures} field(s) failed to resolve.`);
+        logger.log(getPrefix(), `Diagnostics finished with ${failures} failure(s).`);
+        return lines.join('\n');
+    }
+
+    // --- 4. Output Templates ---
+
+    // Placeholders available to output templates, with the description shown in the settings panel
+    const TEMPLATE_FIELDS = {
+        courseTitle: 'Course title',
+        courseSubtitle: 'Course subtitle',
+        section: 'Current section title',
+        lecture: 'Current lecture title',
+        instructors: 'Instructor names and job titles',
+        rating: 'Average rating',
+        reviews: 'Number of reviews',
+        length: 'Total course length',
+        lastUpdated: 'Last updated date',
+        captions: 'Available caption languages',
+        language: 'Course language',
+        url: 'Lecture URL',
+        transcript: 'The transcript itself',
+        notes: 'Your notes on the lecture',
+        resources: 'The lecture\'s resources and links',
+        questions: 'Top Q&A threads on the lecture',
+        range: 'The copied part of the transcript, when copying only part of it',
+    };
+
+    // Sections appended after the transcript, keyed by the toggle that enables them. A template
+    // that places the field itself keeps its placement; otherwise the section is added at the end.
+    const EXTRA_SECTIONS = [
+        ['includeNotes', 'notes', 'My Notes'],
+        ['includeResources', 'resources', 'Resources'],
+        ['includeQuestions', 'questions', 'Top Questions'],
+    ];
+    const QA_THREAD_LIMIT = 5;
+    const QA_EXCERPT_CHARS = 300;
+
+    // Lines of the "Course Details" list, in output order, keyed by the toggle that enables them
+    const DETAIL_TEMPLATE_LINES = [
+        ['includeInstructors', 'instructors', '* **Instructors:** {{instructors}}'],
+        ['includeRating', 'rating', '* **Rating:** {{rating}} ({{reviews}} reviews)'],
+        ['includeLength', 'length', '* **Total Length:** {{length}}'],
+        ['includeLastUpdated', 'lastUpdated', '* **Last Updated:** {{lastUpdated}}'],
+        ['includeCaptions', 'captions', '* **Captions:** {{captions}}'],
+        ['includeLanguage', 'language', '* **Language:** {{language}}'],
+    ];
+
+    /**
+     * Parses a template into a tree of text, field and conditional block nodes.
+     * Blocks are written {{#field}}...{{/field}} and render only when the field is non-empty;
+     * {{#a|b}}...{{/a|b}} renders when any of the listed fields is non-empty.
+     * Field nodes record where their placeholder starts in the source.
+     * @param {string} template - The template source.
+     * @returns {{nodes: object[], errors: string[]}} The parsed nodes and any validation errors.
+     */
+    function parseTemplate(template) {
+        const errors = [];
+        const root = { children: [] };
+        const stack = [root];
+        const tokenRegex = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        const checkField = name => {
+            if (!(name in TEMPLATE_FIELDS)) errors.push(`Unknown placeholder "{{${name}}}".`);
+        };
+
+        while ((match = tokenRegex.exec(template)) !== null) {
+            const parent = stack[stack.length - 1];
+            if (match.index > lastIndex) {
+                parent.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = tokenRegex.lastIndex;
+
+            const [, sigil, name] = match;
+            if (sigil === '#') {
+                const names = name.split('|').map(part => part.trim());
+                names.forEach(checkField);
+                const block = { type: 'block', name, names, children: [] };
+                parent.children.push(block);
+                stack.push(block);
+            } else if (sigil === '/') {
+                if (stack.length > 1 && parent.name === name) {
+                    stack.pop();
+                } else {
+                    errors.push(`Unexpected closing tag "{{/${name}}}".`);
+                }
+            } else {
+                checkField(name);
+                parent.children.push({ type: 'field', name, index: match.index });
+            }
+        }
+        if (lastIndex < template.length) {
+            stack[stack.length - 1].children.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        for (const block of stack.slice(1)) {
+            errors.push(`Block "{{#${block.name}}}" is never closed.`);
+        }
+        // The transcript is the point of the copy, so it may not depend on a field that can be empty
+        const transcriptCount = findFieldNodes(root.children).filter(node => node.name === 'transcript').length;
+        const topLevelCount = root.children.filter(node => node.type === 'field' && node.name === 'transcript').length;
+        if (transcriptCount === 0) {
+            errors.push('Template must include {{transcript}}.');
+        } else if (topLevelCount < transcriptCount) {
+            errors.push('{{transcript}} cannot be placed inside a {{#...}} block.');
+        } else if (transcriptCount > 1) {
+            errors.push('Template must include {{transcript}} only once.');
+        }
+        return { nodes: root.children, errors };
+    }
+
+    /**
+     * Validates a template, returning human-readable errors.
+     * @param {string} template - The template source.
+     * @returns {string[]} The validation errors; empty when the template is valid.
+     */
+    function validateTemplate(template) {
+        return parseTemplate(template).errors;
+    }
+
+    /**
+     * Renders a template against the given data. Missing fields render as empty strings.
+     * @param {string} template - The template source.
+     * @param {object} data - Field values keyed by placeholder name.
+     * @returns {string} The rendered output.
+     */
+    function renderTemplate(template, data) {
+        const renderNodes = nodes => nodes.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'field') return data[node.name] || '';
+            return node.names.some(name => data[name]) ? renderNodes(node.children) : '';
+        }).join('');
+        return renderNodes(parseTemplate(template).nodes);
+    }
+
+    /**
+     * Builds the template equivalent to the metadata toggles, reproducing the classic
+     * Markdown header layout.
+     * @param {object} settings - The settings whose include* toggles drive the template.
+     * @param {boolean} hasCourseData - Whether the course data blob was found; without it only
+     *     the section and lecture titles are available.
+     * @returns {string} The template source.
+     */
+    function buildDefaultTemplate(settings, hasCourseData) {
+        if (!hasCourseData) {
+            return settings.includeSectionLecture ? '# {{section}}\n## {{lecture}}\n{{transcript}}' : '{{transcript}}';
+        }
+
+        let template = '';
+        const titleFields = [];
+        if (settings.includeCourseTitle) {
+            template += '{{#courseTitle}}# {{courseTitle}}\n{{/courseTitle}}';
+            titleFields.push('courseTitle');
+        }
+        if (settings.includeCourseSubtitle) {
+            template += '{{#courseSubtitle}}## *{{courseSubtitle}}*\n{{/courseSubtitle}}';
+            titleFields.push('courseSubtitle');
+        }
+        if (titleFields.length > 0) {
+            const any = titleFields.join('|');
+            template += `{{#${any}}}---\n{{/${any}}}`;
+        }
+
+        if (settings.includeSectionLecture) {
+            template += '**Section:** {{section}}\n**Lecture:** {{lecture}}\n---\n';
+        }
+
+        const detailLines = DETAIL_TEMPLATE_LINES.filter(([settingKey]) => settings[settingKey]);
+        if (detailLines.length > 0) {
+            const any = detailLines.map(([, field]) => field).join('|');
+            template += `{{#${any}}}**Course Details:**\n`;
+            for (const [, field, line] of detailLines) {
+                template += `{{#${field}}}${line}\n{{/${field}}}`;
+            }
+            template += `---\n{{/${any}}}`;
+        }
+
+        return template + '## Transcript\n{{transcript}}';
+    }
+
+    /**
+     * Lists the field placeholders of a parsed template, including those inside blocks, in source order.
+     * @param {object[]} nodes - Nodes returned by parseTemplate.
+     * @returns {{type: 'field', name: string, index: number}[]} The field nodes.
+     */
+    function findFieldNodes(nodes) {
+        return nodes.flatMap(node => {
+            if (node.type === 'field') return [node];
+            return node.type === 'block' ? findFieldNodes(node.children) : [];
+        });
+    }
+
+    /**
+     * Returns the template to render: the user's custom template, or the one built from the toggles,
+     * followed by any enabled extra section and preceded by the range note, unless the template
+     * places those fields itself.
+     * @param {object} settings - The settings to read the template and toggles from.
+     * @param {boolean} hasCourseData - Whether the course data blob was found.
+     * @returns {string} The template source.
+     */
+    function getActiveTemplate(settings, hasCourseData) {
+        let template = settings.template.trim() ? settings.template : buildDefaultTemplate(settings, hasCourseData);
+        const fieldNodes = findFieldNodes(parseTemplate(template).nodes);
+        const placed = new Set(fieldNodes.map(node => node.name));
+        for (const [settingKey, field, heading] of EXTRA_SECTIONS) {
+            if (settings[settingKey] && !placed.has(field)) {
+                template += `{{#${field}}}\n\n## ${heading}\n{{${field}}}{{/${field}}}`;
+            }
+        }
+        // Partial copies say which part they hold, right above the transcript unless placed elsewhere
+        const transcriptNode = fieldNodes.find(node => node.name === 'transcript');
+        if (!placed.has('range') && transcriptNode) {
+            template = template.slice(0, transcriptNode.index) + '{{#range}}**Range:** {{range}}\n{{/range}}' + template.slice(transcriptNode.index);
+        }
+        return template;
+    }
+
+    /**
+     * Renders the template in the settings panel against the current lecture and shows
+     * any validation errors. Uses the panel's unsaved state so changes preview immediately.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    function updateTemplatePreview(panel) {
+        const preview = panel.querySelector('#utc-template-preview');
+        const errorsEl = panel.querySelector('#utc-template-errors');
+        if (!preview || !errorsEl) return;
+
+        const settings = readSettingsFromPanel(panel);
+        const courseData = getCourseData();
+        const template = getActiveTemplate(settings, !!courseData);
+        const errors = validateTemplate(template);
+        errorsEl.textContent = errors.join(' ');
+        errorsEl.style.display = errors.length > 0 ? 'block' : 'none';
+
+        const cueTexts = queryAllFields('cueText').map(el => el.textContent.trim());
+        const sample = cueTexts.slice(0, 3).join('\n') + (cueTexts.length > 3 ? '\n…' : '');
+
+        try {
+            preview.textContent = renderTemplate(template, { ...collectMetadata(courseData), transcript: sample });
+        } catch (e) {
+            logger.error(getPrefix(), 'Failed to render template preview:', e);
+            preview.textContent = '';
+        }
+    }
+
+    /**
+     * Escapes text for use in HTML.
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Renders the inline Markdown this script produces: links, bold and italics.
+     * @param {string} text - One line of Markdown.
+     * @returns {string} The line as HTML.
+     */
+    function renderInlineMarkdown(text) {
+        return escapeHtml(text)
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*([^*\s](?:[^*]*[^*\s])?)\*(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Converts the Markdown this script produces to HTML for rich clipboard copies: headings, rules,
+     * nested and task lists, block quotes, tables, and paragraphs whose lines keep their breaks.
+     * This is not a general Markdown parser; anything else is kept as paragraph text.
+     * @param {string} markdown - The Markdown.
+     * @returns {string} The HTML.
+     */
+    function markdownToHtml(markdown) {
+        const html = [];
+        const lines = markdown.split('\n');
+        let paragraph = [];
+        let quote = [];
+        const openLists = []; // { indent, tag } from outermost to innermost
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) html.push(`<blockquote>${quote.map(renderInlineMarkdown).join('<br>')}</blockquote>`);
+            quote = [];
+        };
+        const closeLists = (indent = -1) => {
+            while (openLists.length > 0 && openLists[openLists.length - 1].indent > indent) {
+                html.push(`</li></${openLists.pop().tag}>`);
+            }
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushQuote();
+            closeLists();
+        };
+        const cells = line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => renderInlineMarkdown(cell.trim()));
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const listItem = line.match(/^(\s*)([-*]|\d+\.)\s+(.*)$/);
+            const quoteLine = line.match(/^\s*>\s?(.*)$/);
+
+            if (line.trim() === '') {
+                flushAll();
+            } else if (heading) {
+                flushAll();
+                html.push(`<h${heading[1].length}>${renderInlineMarkdown(heading[2])}</h${heading[1].length}>`);
+            } else if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+                flushAll();
+                html.push('<hr>');
+            } else if (line.trim().startsWith('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+                flushAll();
+                const rows = [`<tr>${cells(line).map(cell => `<th>${cell}</th>`).join('')}</tr>`];
+                for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+                    rows.push(`<tr>${cells(lines[i]).map(cell => `<td>${cell}</td>`).join('')}</tr>`);
+                }
+                i--;
+                html.push(`<table>${rows.join('')}</table>`);
+            } else if (quoteLine && openLists.length > 0 && /^\s+/.test(line)) {
+                // An indented quote continues the list item above it (Q&A excerpts)
+                html.push(`<blockquote>${renderInlineMarkdown(quoteLine[1])}</blockquote>`);
+            } else if (quoteLine) {
+                flushParagraph();
+                closeLists();
+                quote.push(quoteLine[1]);
+            } else if (listItem) {
+                flushParagraph();
+                flushQuote();
+                const indent = listItem[1].length;
+                const tag = /\d/.test(listItem[2]) ? 'ol' : 'ul';
+                closeLists(indent);
+                const current = openLists[openLists.length - 1];
+                if (current && current.indent === indent && current.tag === tag) {
+                    html.push('</li>');
+                } else {
+                    if (current && current.indent === indent) html.push(`</li></${openLists.pop().tag}>`);
+                    html.push(`<${tag}>`);
+                    openLists.push({ indent, tag });
+                }
+                const task = listItem[3].match(/^\[([ xX])\]\s+(.*)$/);
+                html.push(task
+                    ? `<li>${task[1] === ' ' ? '☐' : '☑'} ${renderInlineMarkdown(task[2])}`
+                    : `<li>${renderInlineMarkdown(listItem[3])}`);
+            } else {
+                flushQuote();
+                closeLists();
+                paragraph.push(line);
+            }
+        }
+        flushAll();
+        return html.join('');
+    }
+
+    // --- 5. Output Formats ---
+
+    // One formatter per output format. render turns assembled transcript parts into the output,
+    // renderCourse does the same for a section or course export (see buildBulkTranscript),
+    // extension names downloaded files, markdown marks output that may be copied as rich text,
+    // and needsTimings asks for cue timings even when the output mode does not use them.
+    // Subtitle modes (SRT/WebVTT) bypass the formatters, since their files cannot carry a header.
+    const OUTPUT_FORMATTERS = {
+        markdown: {
+            extension: 'md',
+            markdown: true,
+            needsTimings: false,
+            render: parts => renderTemplate(parts.template, { ...parts.metadata, transcript: parts.body }),
+            renderCourse: formatMarkdownCourse,
+        },
+        yaml: {
+            extension: 'md',
+            markdown: false, // Front matter turns into stray rules and paragraphs as rich text
+            needsTimings: false,
+            render: parts => `${formatYamlFrontMatter(buildDocumentFields(parts.metadata))}\n\n${appendExtraSections(parts.body, parts.metadata)}`,
+            renderCourse: formatYamlCourse,
+        },
+        json: {
+            extension: 'json',
+            markdown: false,
+            needsTimings: true,
+            render: formatJsonDocument,
+            renderCourse: formatJsonCourse,
+        },
+        html: {
+            extension: 'html',
+            markdown: false,
+            needsTimings: false,
+            render: formatHtmlPage,
+            renderCourse: formatHtmlCourse,
+        },
+    };
+
+    // Stands in for the transcript while the HTML format renders the template around it
+    const TRANSCRIPT_PLACEHOLDER = '\u0000transcript\u0000';
+
+    /**
+     * Splits a comma-separated metadata value into its items. Commas inside parentheses, such as
+     * in an instructor's job title, stay with their item.
+     * @param {string} value - The metadata value, e.g. "Jane Doe (Engineer), John Roe (Designer)".
+     * @returns {string[]} The items.
+     */
+    function splitMetadataList(value) {
+        return value ? value.split(/,\s*(?![^()]*\))/).map(item => item.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Collects the lecture's metadata as typed fields for the YAML and JSON formats.
+     * @param {object} metadata - The template field values.
+     * @returns {object} The fields, in the order they are written.
+     */
+    function buildDocumentFields(metadata) {
+        const rating = Number(metadata.rating);
+        const reviews = (metadata.reviews || '').replace(/\D/g, ''); // Drops locale separators and "N/A"
+        const fields = {
+            course: metadata.courseTitle || '',
+            subtitle: metadata.courseSubtitle || '',
+            section: metadata.section || '',
+            lecture: metadata.lecture || '',
+            instructors: splitMetadataList(metadata.instructors),
+            rating: metadata.rating && Number.isFinite(rating) ? rating : null,
+            reviews: reviews ? Number(reviews) : null,
+            length: metadata.length || '',
+            lastUpdated: metadata.lastUpdated || '',
+            captions: splitMetadataList(metadata.captions),
+            language: metadata.language || '',
+            url: metadata.url || '',
+            captured: new Date().toISOString(),
+        };
+        if (metadata.range) fields.range = metadata.range;
+        return fields;
+    }
+
+    /**
+     * Appends the enabled notes, resources and Q&A sections to a transcript body.
+     * @param {string} body - The transcript body.
+     * @param {object} metadata - The template field values.
+     * @returns {string} The body followed by a Markdown section per non-empty extra.
+     */
+    function appendExtraSections(body, metadata) {
+        const sections = EXTRA_SECTIONS
+            .filter(([, field]) => metadata[field])
+            .map(([, field, heading]) => `## ${heading}\n${metadata[field]}`);
+        return [body, ...sections].join('\n\n');
+    }
+
+    /**
+     * Writes fields as a YAML front matter block. Strings are written as JSON strings, which are
+     * valid double-quoted YAML scalars, so no value can break out of its key.
+     * @param {object} fields - Values that are strings, numbers, null or arrays of strings.
+     * @returns {string} The front matter, including its "---" fences.
+     */
+    function formatYamlFrontMatter(fields) {
+        const toScalar = value => (value === null ? 'null' : typeof value === 'number' ? String(value) : JSON.stringify(value));
+        const lines = Object.entries(fields).map(([key, value]) => {
+            if (!Array.isArray(value)) return `${key}: ${toScalar(value)}`;
+            return value.length === 0 ? `${key}: []` : `${key}:\n${value.map(item => `  - ${toScalar(item)}`).join('\n')}`;
+        });
+        return `---\n${lines.join('\n')}\n---`;
+    }
+
+    /**
+     * Writes the lecture as a JSON document: the metadata fields, the formatted transcript, the
+     * cues (with null timings when the caption track was unavailable) and any enabled extras.
+     * @param {{body: string, metadata: object, cues: {start: number | null, end: number | null, text: string}[]}} parts - The assembled parts.
+     * @returns {string} The JSON text.
+     */
+    function formatJsonDocument(parts) {
+        const roundTime = time => (typeof time === 'number' ? Math.round(time * 1000) / 1000 : null);
+        const document = {
+            ...buildDocumentFields(parts.metadata),
+            transcript: parts.body,
+            cues: parts.cues.map(cue => ({ start: roundTime(cue.start), end: roundTime(cue.end), text: cue.text })),
+        };
+        for (const [, field] of EXTRA_SECTIONS) {
+            if (parts.metadata[field]) document[field] = parts.metadata[field];
+        }
+        return JSON.stringify(document, null, 2);
+    }
+
+    /**
+     * Writes a transcript body as HTML paragraphs, split on blank lines and keeping line breaks.
+     * The text is escaped rather than read as Markdown, since cues such as "1. Install node" or
+     * "# of items" are speech, not list items or headings.
+     * @param {string} body - The transcript body.
+     * @returns {string} The HTML.
+     */
+    function transcriptToHtml(body) {
+        return body.split(/\n\s*\n/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+            .join('');
+    }
+
+    /**
+     * Writes the lecture as a standalone HTML page. The template around the transcript is
+     * rendered as Markdown; the transcript itself is escaped text.
+     * @param {{body: string, template: string, metadata: object}} parts - The assembled parts.
+     * @returns {string} The HTML page.
+     */
+    function formatHtmlPage(parts) {
+        const title = [parts.metadata.lecture, parts.metadata.courseTitle].filter(Boolean).join(' – ') || 'Transcript';
+        const rendered = renderTemplate(parts.template, { ...parts.metadata, transcript: TRANSCRIPT_PLACEHOLDER });
+        const content = rendered.split(TRANSCRIPT_PLACEHOLDER).map(markdownToHtml).join(transcriptToHtml(parts.body));
+        return wrapHtmlPage(title, content);
+    }
+
+    /**
+     * Wraps HTML content in a standalone page, with a little styling so it reads well when opened directly.
+     * @param {string} title - The page title, as text.
+     * @param {string} content - The body HTML.
+     * @returns {string} The HTML page.
+     */
+    function wrapHtmlPage(title, content) {
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHtml(title)}</title>`,
+            '<style>',
+            'body { max-width: 46em; margin: 2em auto; padding: 0 1em; font: 16px/1.6 sans-serif; color: #2d2f31; }',
+            'table { border-collapse: collapse; } th, td { border: 1px solid #d1d7dc; padding: 4px 8px; text-align: left; }',
+            'blockquote { margin: 0.5em 0; padding-left: 1em; border-left: 3px solid #d1d7dc; color: #6a6f73; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            content,
+            '</body>',
+            '</html>',
+        ].join('\n');
+    }
+
+    /**
+     * Writes a section or course export as Markdown, with a heading per section and lecture.
+     * @param {{courseTitle: string, sections: object[]}} course - The export, as built by buildBulkTranscript.
+     * @param {boolean} [includeTitle=true] - Whether to start with the course title as a top-level heading.
+     * @returns {string} The Markdown document.
+     */
+    function formatMarkdownCourse(course, includeTitle = true) {
+        const lines = [];
+        if (includeTitle && course.courseTitle) lines.push(`# ${course.courseTitle}\n`);
+        for (const section of course.sections) {
+            lines.push(`## Section ${section.index}: ${section.title}\n`);
+            for (const lecture of section.lectures) {
+                lines.push(`### Lecture ${lecture.number}: ${lecture.title}\n`);
+                lines.push(lecture.body === null ? `_${lecture.note}_\n` : `${lecture.body}\n`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Counts the lectures of a section or course export.
+     * @param {{sections: object[]}} course - The export.
+     * @returns {number} The lecture count.
+     */
+    function countCourseLectures(course) {
+        return course.sections.reduce((count, section) => count + section.lectures.length, 0);
+    }
+
+    /**
+     * Writes a section or course export as Markdown under YAML front matter naming the course.
+     * @param {{courseTitle: string, sections: object[]}} course - The export.
+     * @returns {string} The document.
+     */
+    function formatYamlCourse(course) {
+        const fields = {
+            course: course.courseTitle || '',
+            sections: course.sections.length,
+            lectures: countCourseLectures(course),
+            captured: new Date().toISOString(),
+        };
+        return `${formatYamlFrontMatter(fields)}\n\n${formatMarkdownCourse(course, false)}`;
+    }
+
+    /**
+     * Writes a section or course export as a JSON document. Lectures without a transcript have a
+     * null transcript and a note saying why.
+     * @param {{courseTitle: string, sections: object[]}} course - The export.
+     * @returns {string} The JSON text.
+     */
+    function formatJsonCourse(course) {
+        const roundTime = time => Math.round(time * 1000) / 1000;
+        const document = {
+            course: course.courseTitle || '',
+            captured: new Date().toISOString(),
+            sections: course.sections.map(section => ({
+                index: section.index,
+                title: section.title,
+                lectures: section.lectures.map(lecture => ({
+                    number: lecture.number,
+                    title: lecture.title,
+                    transcript: lecture.body,
+                    ...(lecture.body === null
+                        ? { note: lecture.note }
+                        : { cues: lecture.cues.map(cue => ({ start: roundTime(cue.start), end: roundTime(cue.end), text: cue.text })) }),
+                })),
+            })),
+        };
+        return JSON.stringify(document, null, 2);
+    }
+
+    /**
+     * Writes a section or course export as a standalone HTML page.
+     * @param {{courseTitle: string, sections: object[]}} course - The export.
+     * @returns {string} The HTML page.
+     */
+    function formatHtmlCourse(course) {
+        const content = [];
+        if (course.courseTitle) content.push(`<h1>${escapeHtml(course.courseTitle)}</h1>`);
+        for (const section of course.sections) {
+            content.push(`<h2>${escapeHtml(`Section ${section.index}: ${section.title}`)}</h2>`);
+            for (const lecture of section.lectures) {
+                content.push(`<h3>${escapeHtml(`Lecture ${lecture.number}: ${lecture.title}`)}</h3>`);
+                content.push(lecture.body === null ? `<p><em>${escapeHtml(lecture.note)}</em></p>` : transcriptToHtml(lecture.body));
+            }
+        }
+        return wrapHtmlPage(course.courseTitle || 'Transcript', content.join('\n'));
+    }
+
+    /**
+     * Returns the file extension for output produced with the given settings.
+     * @param {object} settings - Complete settings.
+     * @returns {string} The extension, without a dot.
+     */
+    function getOutputExtension(settings) {
+        if (settings.outputMode === 'srt' || settings.outputMode === 'vtt') return FILE_EXTENSIONS[settings.outputMode];
+        return OUTPUT_FORMATTERS[settings.outputFormat].extension;
+    }
+
+    /**
+     * Tells whether output in a format may also be copied as rich text.
+     * @param {string | null | undefined} format - An OUTPUT_FORMATTERS key, or null for subtitle files.
+     * @returns {boolean} True for Markdown output.
+     */
+    function isMarkdownFormat(format) {
+        return Boolean(format && OUTPUT_FORMATTERS[format] && OUTPUT_FORMATTERS[format].markdown);
+    }
+
+    // --- 6. Core Functionality ---
+
+    /**
+     * Finds and parses the course data JSON blob from the page's HTML.
+     * @param {Document} [page] - The page to read; defaults to the live document.
+     * @returns {object | null} The parsed course data or null if not found.
+     */
+    function getCourseData(page = document) {
+        logger.log(getPrefix(), 'Attempting to find course data JSON blob...');
+        const dataEl = queryField('courseDataBlob', page);
+        if (!dataEl || !dataEl.dataset.moduleArgs) {
+            logger.error(getPrefix(), 'Could not find the data-module-args element.');
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(dataEl.dataset.moduleArgs);
+            logger.log(getPrefix(), 'Successfully parsed course data.');
+            return data;
+        } catch (e) {
+            logger.error(getPrefix(), 'Failed to parse course data JSON:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Formats seconds as a compact [mm:ss] style timestamp (h:mm:ss past the hour).
+     * @param {number} seconds - The time in seconds.
+     * @returns {string} The formatted timestamp.
+     */
+    function formatTimestamp(seconds) {
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const pad = n => String(n).padStart(2, '0');
+        return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+    }
+
+    /**
+     * Formats seconds as a full subtitle timestamp (hh:mm:ss,mmm or hh:mm:ss.mmm).
+     * @param {number} seconds - The time in seconds.
+     * @param {string} separator - The millisecond separator ("," for SRT, "." for WebVTT).
+     * @returns {string} The formatted timestamp.
+     */
+    function formatSubtitleTime(seconds, separator) {
+        const totalMs = Math.round(seconds * 1000);
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        const h = Math.floor(totalMs / 3600000);
+        const m = Math.floor((totalMs % 3600000) / 60000);
+        const s = Math.floor((totalMs % 60000) / 1000);
+        return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(totalMs % 1000, 3)}`;
+    }
+
+    /**
+     * Fetches the timed cues of the current lecture's caption track.
+     * @param {object | null} courseData - The parsed course data blob.
+     * @param {string} [language] - The caption language to fetch; defaults to the page language.
+     * @returns {Promise<{start: number, end: number, text: string}[]>} The caption cues.
+     */
+    async function fetchCurrentLectureCues(courseData, language) {
+        const courseId = getCourseId(courseData);
+        const lectureId = getCurrentLectureId();
+        if (!courseId || !lectureId) {
+            throw new Error('Could not determine the course or lecture id.');
+        }
+
+        const params = new URLSearchParams({
+            'fields[lecture]': 'asset',
+            'fields[asset]': 'captions',
+        });
+        const lecture = await fetchJson(apiUrl(`/users/me/subscribed-courses/${courseId}/lectures/${lectureId}/?${params}`));
+        const track = selectCaptionTrack(lecture.asset && lecture.asset.captions, language);
+        if (!track) {
+            throw new Error(language
+                ? `Lecture ${lectureId} has no "${language}" captions.`
+                : `Lecture ${lectureId} has no caption tracks.`);
+        }
+        return fetchCaptionCues(track);
+    }
+
+    /**
+     * Attaches the caption track's timings to the transcript panel texts.
+     * The panel text is kept when it lines up with the track, since it reflects
+     * the language the user is reading; otherwise the track's own text is used.
+     * @param {string[]} panelTexts - The cue texts shown in the transcript panel.
+     * @param {{start: number, end: number, text: string}[]} trackCues - The caption track cues.
+     * @returns {{start: number, end: number, text: string}[]} The cues with the track's own timings.
+     */
+    function alignCueText(panelTexts, trackCues) {
+        const useTrackText = panelTexts.length !== trackCues.length;
+        if (useTrackText) {
+            logger.warn(getPrefix(), `Transcript panel has ${panelTexts.length} cues but the caption track has ${trackCues.length}. Using caption track text.`);
+        }
+        return trackCues.map((cue, i) => ({ ...cue, text: useTrackText ? cue.text : panelTexts[i] }));
+    }
+
+    /**
+     * Attaches start times from the caption track to the transcript panel texts and
+     * computes each cue's end time from the start of the following cue.
+     * @param {string[]} panelTexts - The cue texts shown in the transcript panel.
+     * @param {{start: number, end: number, text: string}[]} trackCues - The caption track cues.
+     * @returns {{start: number, end: number, text: string}[]} The timed cues.
+     */
+    function buildTimedCues(panelTexts, trackCues) {
+        const cues = alignCueText(panelTexts, trackCues);
+        return cues.map((cue, i) => {
+            const next = cues[i + 1];
+            return { ...cue, end: next ? next.start : cue.end };
+        });
+    }
+
+    /**
+     * Tells whether bracketed or parenthesised text is a sound tag rather than part of the speech.
+     * Square brackets also count when their text is upper case, as in Udemy's "[MUSIC PLAYING]";
+     * parenthesised upper case is more often an acronym, so only the known descriptions count there.
+     * @param {string} bracket - The opening bracket, "[" or "(".
+     * @param {string} inner - The text between the brackets.
+     * @returns {boolean} True for sound tags.
+     */
+    function isSoundTag(bracket, inner) {
+        const tag = inner.trim().replace(/\s+/g, ' ');
+        if (SOUND_TAG_WORDS_REGEX.test(tag)) return true;
+        return bracket === '[' && /[A-Z]/.test(tag) && tag === tag.toUpperCase();
+    }
+
+    /**
+     * Strips sound tags such as "[MUSIC]" or "(laughs)" and filler words from a cue's text.
+     * Other parentheticals are speech and are kept.
+     * @param {string} text - The cue text.
+     * @returns {string} The cleaned text; may be empty.
+     */
+    function removeFillerTokens(text) {
+        return text
+            .replace(/(\[)([^\]]*)\]|(\()([^)]*)\)/g, (match, square, squareInner, round, roundInner) =>
+                (isSoundTag(square || round, square ? squareInner : roundInner) ? ' ' : match))
+            .replace(FILLER_WORDS_REGEX, ' ')
+            .replace(/\s+([,.!?;:])/g, '$1')
+            .replace(/^[\s,;:]+/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Removes the words at the start of a cue that repeat the end of the previous cue,
+     * as happens with rolling auto-generated captions.
+     * @param {string} previousText - The previous cue's text.
+     * @param {string} text - The current cue's text.
+     * @returns {string} The current text without the overlapping prefix; empty if it is a pure repeat.
+     */
+    function stripCueOverlap(previousText, text) {
+        const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const previousWords = previousText.split(/\s+/).map(normalize);
+        const words = text.split(/\s+/);
+        const normalizedWords = words.map(normalize);
+
+        for (let size = Math.min(previousWords.length, words.length); size > 0; size--) {
+            // A single shared word is usually coincidence, unless it is the whole cue
+            if (size === 1 && words.length > 1) break;
+            const tail = previousWords.slice(-size).join(' ');
+            if (tail && tail === normalizedWords.slice(0, size).join(' ')) {
+                return words.slice(size).join(' ');
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Reflows caption cues into sentences and paragraphs of readable prose.
+     * Sentences end at terminal punctuation, or at a long pause when the captions have none.
+     * Paragraphs break at long pauses between sentences and after a few sentences otherwise.
+     * @param {{text: string, start?: number, end?: number}[]} cues - The cues; timings are optional.
+     * @param {{removeFillers: boolean}} options - Reflow options.
+     * @returns {string} The paragraphs, separated by blank lines.
+     */
+    function reflowTranscript(cues, options) {
+        const sentences = []; // { text, pauseBefore }
+        let current = '';
+        let currentPause = 0;
+        let previousText = '';
+        let previousEnd = null;
+        // With punctuated captions a pause is only a breath, so it never ends a sentence
+        const punctuated = cues.some(cue => /[.!?…]/.test(cue.text));
+
+        const endSentence = () => {
+            if (current) sentences.push({ text: current, pauseBefore: currentPause });
+            current = '';
+            currentPause = 0;
+        };
+
+        for (const cue of cues) {
+            let text = options.removeFillers ? removeFillerTokens(cue.text) : cue.text.replace(/\s+/g, ' ').trim();
+            text = stripCueOverlap(previousText, text);
+            if (!text) continue;
+            previousText = text;
+
+            const hasTiming = typeof cue.start === 'number' && previousEnd !== null;
+            const pause = hasTiming ? cue.start - previousEnd : 0;
+            previousEnd = typeof cue.end === 'number' ? cue.end : null;
+
+            if (current && !punctuated && pause >= PARAGRAPH_PAUSE_SECONDS) endSentence();
+            if (!current) currentPause = pause;
+
+            const pieces = text.split(/(?<=[.!?…]["')\]]?)\s+/);
+            pieces.forEach((piece, i) => {
+                current = current ? `${current} ${piece}` : piece;
+                if (i < pieces.length - 1 || /[.!?…]["')\]]?$/.test(piece)) endSentence();
+            });
+        }
+        endSentence();
+
+        const paragraphs = [];
+        let paragraph = [];
+        for (const sentence of sentences) {
+            if (paragraph.length > 0 &&
+                (sentence.pauseBefore >= PARAGRAPH_PAUSE_SECONDS || paragraph.length >= MAX_SENTENCES_PER_PARAGRAPH)) {
+                paragraphs.push(paragraph);
+                paragraph = [];
+            }
+            paragraph.push(sentence.text);
+        }
+        if (paragraph.length > 0) paragraphs.push(paragraph);
+
+        return paragraphs.map(sentencesInParagraph => sentencesInParagraph.join(' ')).join('\n\n');
+    }
+
+    /**
+     * Formats timed cues for the given output mode.
+     * @param {{start: number, end: number, text: string}[]} cues - The timed cues.
+     * @param {string} mode - One of the OUTPUT_MODES keys other than "plain".
+     * @returns {string} The formatted transcript.
+     */
+    function formatTimedCues(cues, mode) {
+        if (mode === 'srt') {
+            return cues.map((cue, i) =>
+                `${i + 1}\n${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}\n${cue.text}`
+            ).join('\n\n') + '\n';
+        }
+        if (mode === 'vtt') {
+            const blocks = cues.map(cue =>
+                `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}\n${cue.text}`
+            );
+            return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+        }
+        return cues.map(cue => `[${formatTimestamp(cue.start)}] ${cue.text}`).join('\n');
+    }
+
+    /**
+     * Converts an HTML fragment from the API (notes, questions) to plain text without running it.
+     * @param {string} html - The HTML fragment.
+     * @returns {string} The text, with whitespace collapsed.
+     */
+    function htmlToText(html) {
+        // DOMParser documents are inert, so handlers in user content never fire
+        const parsed = new DOMParser().parseFromString(html || '', 'text/html');
+        return parsed.body.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Fetches the learner's own notes on a lecture.
+     * @param {number} courseId - The course id.
+     * @param {number} lectureId - The lecture id.
+     * @returns {Promise<{position: number, text: string}[]>} The notes, ordered by video position in seconds.
+     */
+    async function fetchLectureNotes(courseId, lectureId) {
+        const params = new URLSearchParams({
+            page_size: '100',
+            'fields[note]': 'body,position',
+        });
+        let url = apiUrl(`/users/me/subscribed-courses/${courseId}/lectures/${lectureId}/notes/?${params}`);
+        const notes = [];
+        while (url) {
+            const page = await fetchJson(url);
+            for (const note of page.results || []) {
+                const text = htmlToText(note.body);
+                if (text) notes.push({ position: Number(note.position) || 0, text });
+            }
+            url = page.next;
+        }
+        return notes.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Fetches the downloadable resources and external links attached to a lecture.
+     * File links are signed by Udemy and expire after a while.
+     * @param {number} courseId - The course id.
+     * @param {number} lectureId - The lecture id.
+     * @returns {Promise<{title: string, url: string}[]>} The resources; url is empty when no link is available.
+     */
+    async function fetchLectureResources(courseId, lectureId) {
+        const params = new URLSearchParams({
+            'fields[lecture]': 'supplementary_assets',
+            'fields[asset]': 'title,filename,asset_type,external_url,download_urls',
+        });
+        const lecture = await fetchJson(apiUrl(`/users/me/subscribed-courses/${courseId}/lectures/${lectureId}/?${params}`));
+        return (lecture.supplementary_assets || []).map(asset => {
+            const files = asset.download_urls && asset.download_urls[asset.asset_type];
+            return {
+                title: asset.title || asset.filename || 'Untitled resource',
+                url: asset.external_url || (files && files[0] && files[0].file) || '',
+            };
+        });
+    }
+
+    /**
+     * Fetches the most upvoted Q&A threads asked on a lecture.
+     * @param {number} courseId - The course id.
+     * @param {number} lectureId - The lecture id.
+     * @returns {Promise<{title: string, body: string, replies: number, upvotes: number, url: string}[]>} The top threads.
+     */
+    async function fetchLectureQuestions(courseId, lectureId) {
+        const params = new URLSearchParams({
+            lecture: String(lectureId),
+            // The API ranks every thread, so the first page holds the top ones
+            ordering: '-num_upvotes',
+            page_size: String(QA_THREAD_LIMIT),
+            'fields[course_discussion]': 'title,body,num_replies,num_upvotes',
+        });
+        const page = await fetchJson(apiUrl(`/courses/${courseId}/discussions/?${params}`));
+        const coursePath = (window.location.pathname.match(/^\/course\/[^/]+\//) || ['/'])[0];
+        return (page.results || [])
+            .slice(0, QA_THREAD_LIMIT)
+            .map(thread => ({
+                title: thread.title || 'Untitled question',
+                body: htmlToText(thread.body),
+                replies: thread.num_replies || 0,
+                upvotes: thread.num_upvotes || 0,
+                url: `${window.location.origin}${coursePath}learn/lecture/${lectureId}#questions/${thread.id}`,
+            }));
+    }
+
+    /**
+     * Formats a note for the timestamped transcript or the notes section.
+     * @param {{position: number, text: string}} note - The note.
+     * @returns {string} The Markdown line.
+     */
+    function formatNoteLine(note) {
+        return `> **Note [${formatTimestamp(note.position)}]:** ${note.text}`;
+    }
+
+    /**
+     * Formats timed cues as [mm:ss] lines with the notes placed after the cue playing when they were taken.
+     * @param {{start: number, text: string}[]} cues - The timed cues.
+     * @param {{position: number, text: string}[]} notes - The notes, ordered by position.
+     * @returns {string} The timestamped transcript.
+     */
+    function formatTimestampedWithNotes(cues, notes) {
+        const lines = [];
+        let noteIndex = 0;
+        for (const cue of cues) {
+            while (noteIndex < notes.length && notes[noteIndex].position < cue.start) {
+                lines.push(formatNoteLine(notes[noteIndex++]));
+            }
+            lines.push(`[${formatTimestamp(cue.start)}] ${cue.text}`);
+        }
+        while (noteIndex < notes.length) {
+            lines.push(formatNoteLine(notes[noteIndex++]));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Fetches the extra sections enabled in the settings (notes, resources, Q&A) for the current lecture.
+     * Each source is fetched independently, and one that fails yields a short notice instead of
+     * failing the export.
+     * @param {object | null} courseData - The parsed course data blob.
+     * @returns {Promise<{fields: object, notes: object[] | null}>} The rendered template fields, and the
+     *     raw notes (null if not fetched) so timestamped mode can place them inline.
+     */
+    async function fetchLectureExtras(courseData) {
+        const fields = {};
+        let notes = null;
+        const courseId = getCourseId(courseData);
+        const lectureId = getCurrentLectureId();
+        const enabled = EXTRA_SECTIONS.filter(([settingKey]) => userSettings[settingKey]);
+        if (enabled.length === 0) return { fields, notes };
+        if (!courseId || !lectureId) {
+            logger.warn(getPrefix(), 'Could not determine the course or lecture id; skipping notes, resources and Q&A.');
+            return { fields, notes };
+        }
+
+        const sources = {
+            notes: async () => {
+                notes = await fetchLectureNotes(courseId, lectureId);
+                return notes.map(formatNoteLine).join('\n');
+            },
+            resources: async () => (await fetchLectureResources(courseId, lectureId))
+                .map(resource => (resource.url ? `- [${resource.title}](${resource.url})` : `- ${resource.title}`))
+                .join('\n'),
+            questions: async () => (await fetchLectureQuestions(courseId, lectureId))
+                .map(thread => {
+                    const excerpt = thread.body.length > QA_EXCERPT_CHARS ? `${thread.body.slice(0, QA_EXCERPT_CHARS)}…` : thread.body;
+                    const stats = `${thread.replies} repl${thread.replies === 1 ? 'y' : 'ies'}, ${thread.upvotes} upvote${thread.upvotes === 1 ? '' : 's'}`;
+                    return `- **[${thread.title}](${thread.url})** (${stats})` + (excerpt ? `\n  > ${excerpt}` : '');
+                })
+                .join('\n'),
+        };
+
+        await Promise.all(enabled.map(async ([, field, heading]) => {
+            try {
+                fields[field] = await sources[field]();
+            } catch (e) {
+                logger.warn(getPrefix(), `Could not load ${heading.toLowerCase()}:`, e);
+                fields[field] = `_Could not load ${heading.toLowerCase()}._`;
+            }
+        }));
+        return { fields, notes };
+    }
+
+    /**
+     * Pairs each primary cue with the text of the secondary cues it overlaps most in time.
+     * Every secondary cue is assigned to exactly one primary cue, so no text is repeated or lost
+     * when the two tracks split sentences differently.
+     * @param {{start: number, end: number, text: string}[]} primaryCues - The primary language cues.
+     * @param {{start: number, end: number, text: string}[]} secondaryCues - The secondary language cues.
+     * @returns {{start: number, end: number, text: string, secondaryText: string}[]} The primary cues with aligned translations.
+     */
+    function alignBilingualCues(primaryCues, secondaryCues) {
+        const secondaryTexts = primaryCues.map(() => []);
+        let searchFrom = 0;
+        for (const secondary of secondaryCues) {
+            let bestIndex = -1;
+            let bestOverlap = 0;
+            for (let i = searchFrom; i < primaryCues.length; i++) {
+                const primary = primaryCues[i];
+                if (primary.start >= secondary.end) break;
+                const overlap = Math.min(primary.end, secondary.end) - Math.max(primary.start, secondary.start);
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    bestIndex = i;
+                }
+            }
+            if (bestIndex === -1) {
+                // No overlap at all (e.g. a gap in the primary track): attach to the nearest earlier cue
+                bestIndex = Math.max(0, primaryCues.findIndex(primary => primary.start > secondary.start) - 1);
+                if (primaryCues[primaryCues.length - 1].start <= secondary.start) bestIndex = primaryCues.length - 1;
+            }
+            secondaryTexts[bestIndex].push(secondary.text);
+            searchFrom = bestIndex;
+        }
+        return primaryCues.map((cue, i) => ({ ...cue, secondaryText: secondaryTexts[i].join(' ') }));
+    }
+
+    /**
+     * Formats aligned bilingual cues for the given output mode and layout.
+     * Subtitle modes put both languages in each cue; text modes use the chosen layout.
+     * @param {{start: number, end: number, text: string, secondaryText: string}[]} cues - The aligned cues.
+     * @param {string} mode - The output mode ("plain", "timestamped", "srt" or "vtt").
+     * @param {string} layout - One of the BILINGUAL_LAYOUTS keys.
+     * @param {string[]} languageLabels - The [primary, secondary] column headings.
+     * @returns {string} The formatted transcript.
+     */
+    function formatBilingualTranscript(cues, mode, layout, languageLabels) {
+        if (mode === 'srt' || mode === 'vtt') {
+            return formatTimedCues(cues.map(cue => ({
+                ...cue,
+                text: cue.secondaryText ? `${cue.text}\n${cue.secondaryText}` : cue.text,
+            })), mode);
+        }
+
+        const timestamp = cue => (mode === 'timestamped' ? `[${formatTimestamp(cue.start)}] ` : '');
+        if (layout === 'table') {
+            const escapeCell = text => text.replace(/\|/g, '\\|');
+            const timeHeader = mode === 'timestamped' ? '| Time ' : '';
+            const timeDivider = mode === 'timestamped' ? '| --- ' : '';
+            const rows = cues.map(cue => {
+                const time = mode === 'timestamped' ? `| ${formatTimestamp(cue.start)} ` : '';
+                return `${time}| ${escapeCell(cue.text)} | ${escapeCell(cue.secondaryText)} |`;
+            });
+            return [
+                `${timeHeader}| ${escapeCell(languageLabels[0])} | ${escapeCell(languageLabels[1])} |`,
+                `${timeDivider}| --- | --- |`,
+                ...rows,
+            ].join('\n');
+        }
+        return cues.map(cue => `${timestamp(cue)}${cue.text}\n${cue.secondaryText}`).join('\n\n');
+    }
+
+    /**
+     * Returns the caption languages to export for a course, applying its per-course override.
+     * Empty strings mean "whatever the transcript panel shows" and "no second language".
+     * @param {number | null} courseId - The course id.
+     * @returns {{captionLanguage: string, secondaryLanguage: string}} The language labels.
+     */
+    function getLanguageSettings(courseId) {
+        const override = courseId ? userSettings.languageOverrides[courseId] : null;
+        return override || {
+            captionLanguage: userSettings.captionLanguage,
+            secondaryLanguage: userSettings.secondaryLanguage,
+        };
+    }
+
+    /**
+     * Writes Markdown to the clipboard as both rendered HTML and the Markdown source as plain text.
+     * @param {string} markdown - The Markdown to copy.
+     * @returns {Promise<void>} Rejects if the browser does not allow it.
+     */
+    async function writeRichClipboard(markdown) {
+        if (typeof ClipboardItem === 'undefined') throw new Error('ClipboardItem is not supported.');
+        await navigator.clipboard.write([new ClipboardItem({
+            'text/html': new Blob([markdownToHtml(markdown)], { type: 'text/html' }),
+            'text/plain': new Blob([markdown], { type: 'text/plain' }),
+        })]);
+    }
+
+    /**
+     * Copies text by selecting it in a hidden textarea and running execCommand('copy').
+     * @param {string} text - The text to copy.
+     * @throws {Error} If the browser refuses the copy.
+     */
+    function copyWithTextarea(text) {
+        const previousFocus = document.activeElement;
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: 0; left: -9999px; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.focus();
+        textarea.select();
+        try {
+            if (!document.execCommand('copy')) throw new Error('execCommand("copy") was refused.');
+        } finally {
+            textarea.remove();
+            if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+        }
+    }
+
+    /**
+     * Shows the text in a dialog for copying by hand, after every clipboard method has failed.
+     * @param {string} text - The text that could not be copied.
+     */
+    function showClipboardError(text) {
+        const existing = document.getElementById('utc-clipboard-error');
+        if (existing) existing.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'utc-clipboard-error';
+        overlay.style.cssText = 'position: fixed; inset: 0; z-index: 10000; display: flex; align-items: flex-start; justify-content: center; padding-top: 15vh; background-color: rgba(0, 0, 0, 0.4);';
+        overlay.innerHTML = `
+            <div role="alertdialog" aria-labelledby="utc-clipboard-error-title" style="width: 520px; max-width: 90vw; padding: 16px; border-radius: 4px; background-color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);">
+                <h4 id="utc-clipboard-error-title" class="ud-heading-md" style="margin-bottom: 8px;">Could not copy to the clipboard</h4>
+                <p class="ud-text-sm" style="margin-bottom: 8px;">The browser blocked every way of copying. The text is selected below: press Ctrl+C (⌘C on macOS) to copy it.</p>
+                <textarea readonly rows="12" class="ud-text-xs" style="width: 100%; font-family: monospace; margin-bottom: 8px;"></textarea>
+                <button class="ud-btn ud-btn-small ud-btn-secondary">Close</button>
+            </div>
+        `;
+
+        const textarea = overlay.querySelector('textarea');
+        textarea.value = text;
+        const close = () => overlay.remove();
+        overlay.querySelector('button').addEventListener('click', close);
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) close();
+        });
+        overlay.addEventListener('keydown', event => {
+            event.stopPropagation(); // Keep the player from reacting to the copy keys
+            if (event.key === 'Escape') close();
+        });
+        document.body.appendChild(overlay);
+        textarea.focus();
+        textarea.select();
+    }
+
+    /**
+     * Writes text to the clipboard, trying each method in turn: rich text (Markdown only, when
+     * enabled), the Clipboard API, GM_setClipboard, then a selected hidden textarea. If all of
+     * them fail, the text is shown on the page to copy by hand.
+     * @param {string} text - The text to copy.
+     * @param {{markdown?: boolean}} [options] - Set markdown if the text is Markdown that may be copied with formatting.
+     * @returns {Promise<boolean>} Whether the copy succeeded.
+     */
+    async function copyToClipboard(text, options = {}) {
+        const methods = [];
+        if (options.markdown && userSettings.richClipboard) {
+            methods.push(['rich text', () => writeRichClipboard(text)]);
+        }
+        methods.push(
+            ['Clipboard API', () => navigator.clipboard.writeText(text)],
+            ['GM_setClipboard', () => GM_setClipboard(text, 'text')],
+            ['textarea selection', () => copyWithTextarea(text)],
+        );
+
+        for (const [name, write] of methods) {
+            try {
+                await write();
+                logger.log(getPrefix(), `Copied to clipboard via ${name}.`);
+                return true;
+            } catch (e) {
+                logger.warn(getPrefix(), `Copying via ${name} failed:`, e);
+            }
+        }
+        logger.error(getPrefix(), 'Every clipboard method failed; showing the text to copy by hand.');
+        showClipboardError(text);
+        return false;
+    }
+
+    /**
+     * Collects every template field except the transcript from the course data blob and the DOM.
+     * Fields that cannot be found are empty strings so template blocks can drop them.
+     * @param {object | null} courseData - The parsed course data blob.
+     * @param {Document} [page] - The page to read; defaults to the live document.
+     * @param {string} [url] - The lecture URL; defaults to the current location.
+     * @returns {object} Field values keyed by template placeholder name.
+     */
+    function collectMetadata(courseData, page = document, url = window.location.href) {
+        const context = getLectureContext(page);
+        const metadata = {
+            courseTitle: context.courseTitle,
+            courseSubtitle: '',
+            section: context.sectionTitle,
+            lecture: context.lectureTitle,
+            instructors: '',
+            rating: '',
+            reviews: '',
+            length: '',
+            lastUpdated: '',
+            captions: '',
+            language: '',
+            url: url.split('#')[0],
+        };
+
+        // Course Subtitle and Language (from DOM, falling back to JSON)
+        metadata.courseSubtitle = resolveText('courseSubtitle', courseData, page);
+        metadata.language = resolveText('language', courseData, page);
+
+        if (!courseData) return metadata;
+
+        // Instructors
+        if (courseData.instructorInfo && courseData.instructorInfo.instructors_info) {
+            metadata.instructors = courseData.instructorInfo.instructors_info
+                .map(inst => `${inst.title} (${inst.job_title})`)
+                .join(', ');
+        }
+
+        // Course Stats from courseLeadData
+        if (courseData.courseLeadData) {
+            const leadData = courseData.courseLeadData;
+            metadata.rating = leadData.rating ? leadData.rating.toFixed(2) : 'N/A';
+            metadata.reviews = leadData.num_reviews ? leadData.num_reviews.toLocaleString() : 'N/A';
+            metadata.length = leadData.content_info_short || '';
+            metadata.lastUpdated = leadData.last_update_date || '';
+            if (leadData.captionedLanguages && leadData.captionedLanguages.length > 0) {
+                metadata.captions = leadData.captionedLanguages.join(', ');
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Reads the cue texts shown in a transcript panel.
+     * @param {Element} transcriptPanel - The transcript panel element.
+     * @returns {string[]} The cue texts, in order; empty if the panel holds none.
+     */
+    function readPanelCueTexts(transcriptPanel) {
+        const textElements = queryAllFields('cueText', transcriptPanel);
+        logger.log(getPrefix(), `Found ${textElements.length} transcript lines.`);
+        return Array.from(textElements).map(el => el.textContent.trim());
+    }
+
+    /**
+     * Converts a lecture page into the output the Copy button would produce, with no network
+     * access or UI. This is the headless core used by udemy-transcript-cli.js. Timed output modes
+     * need the caption track, so they fall back to plain text; prose is reflowed by punctuation only.
+     * The text is rendered in the settings' output format, with untimed cues in JSON.
+     * @param {Document} page - The lecture page, live or parsed from a saved HTML file.
+     * @param {object} settings - Complete settings, e.g. from settingsFromStored.
+     * @param {string} url - The lecture URL.
+     * @returns {{context: object, metadata: object, transcript: string, text: string, format: string, extension: string}}
+     *     The lecture context, template fields, formatted transcript body, the fully rendered text,
+     *     and its output format and file extension.
+     */
+    function convertLecturePage(page, settings, url) {
+        const transcriptPanel = queryField('transcriptPanel', page);
+        const cueTexts = transcriptPanel ? readPanelCueTexts(transcriptPanel) : [];
+        if (cueTexts.length === 0) {
+            throw new Error('No transcript found on the page. Save the page with the transcript sidebar open.');
+        }
+
+        const courseData = getCourseData(page);
+        const metadata = collectMetadata(courseData, page, url);
+        let transcript;
+        if (settings.outputMode === 'prose') {
+            transcript = reflowTranscript(cueTexts.map(text => ({ text })), { removeFillers: settings.removeFillers });
+        } else {
+            if (settings.outputMode !== 'plain') {
+                logger.warn(getPrefix(), `The ${settings.outputMode} mode needs caption timings; using plain text.`);
+            }
+            transcript = cueTexts.join('\n');
+        }
+        const format = settings.outputFormat;
+        const parts = {
+            body: transcript,
+            template: getActiveTemplate(settings, !!courseData),
+            metadata,
+            format,
+            cues: cueTexts.map(text => ({ start: null, end: null, text })),
+        };
+        return {
+            context: getLectureContext(page),
+            metadata,
+            transcript,
+            text: renderTranscriptParts(parts),
+            format,
+            extension: OUTPUT_FORMATTERS[format].extension,
+        };
+    }
+
+    /**
+     * Reads the current course, section and lecture titles and numbers from the curriculum sidebar.
+     * @param {Document} [page] - The page to read; defaults to the live document.
+     * @returns {{courseTitle: string, sectionTitle: string, sectionNumber: number | null, lectureTitle: string, lectureNumber: number | null}}
+     */
+    function getLectureContext(page = document) {
+        const sectionPanel = resolveField('sectionPanel', { page }).value;
+        const lectureTitle = resolveText('lectureTitle', undefined, page) || 'Unknown Lecture';
+        const sectionTitle = resolveText('sectionTitle', undefined, page) || 'Unknown Section';
+
+        // Section panels are zero-indexed ("section-panel-0"); lecture titles are prefixed "12. Title"
+        const sectionMatch = sectionPanel ? (sectionPanel.dataset.purpose || '').match(/section-panel-(\d+)/) : null;
+        const lectureMatch = lectureTitle.match(/^(\d+)\.\s/);
+
+        return {
+            courseTitle: resolveText('courseTitle', undefined, page),
+            sectionTitle,
+            sectionNumber: sectionMatch ? Number(sectionMatch[1]) + 1 : null,
+            lectureTitle,
+            lectureNumber: lectureMatch ? Number(lectureMatch[1]) : null,
+        };
+    }
+
+    /**
+     * Builds a download filename from the configured pattern and the current lecture.
+     * Supported placeholders: {courseTitle}, {sectionNumber}, {sectionTitle}, {lectureNumber}, {lectureTitle}.
+     * @param {string} pattern - The filename pattern from settings.
+     * @param {object} context - The lecture context from getLectureContext.
+     * @param {string} extension - The file extension, without the dot.
+     * @returns {string} A filesystem-safe filename.
+     */
+    function buildFilename(pattern, context, extension) {
+        const pad = n => (n === null ? '' : String(n).padStart(2, '0'));
+        const values = {
+            courseTitle: context.courseTitle,
+            sectionNumber: pad(context.sectionNumber),
+            // Drop the "Section 3:" / "12." prefixes Udemy puts in titles, since numbers have their own placeholders
+            sectionTitle: context.sectionTitle.replace(/^Section\s+\d+:\s*/i, ''),
+            lectureNumber: pad(context.lectureNumber),
+            lectureTitle: context.lectureTitle.replace(/^\d+\.\s*/, ''),
+        };
+
+        const name = (pattern || DEFAULT_SETTINGS.filenamePattern)
+            .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '') // Characters invalid on Windows, macOS or Linux
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.-]+|[\s.]+$/g, '') // No leading dots (hidden files) or trailing dots/spaces
+            .slice(0, 200);
+
+        return `${name || 'transcript'}.${extension}`;
+    }
+
+    /**
+     * Saves text as a file via a temporary Blob URL.
+     * @param {string} text - The file contents.
+     * @param {string} filename - The suggested filename.
+     */
+    function downloadText(text, filename) {
+        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        logger.log(getPrefix(), `Transcript downloaded as "${filename}".`);
+    }
+
+    /**
+     * Assembles the transcript body for the current lecture, along with the template and
+     * metadata it is rendered with, reporting failures on the given button.
+     * @param {HTMLButtonElement} button - The button that triggered the action.
+     * @param {string} idleLabel - The button label to restore after an error message.
+     * @param {object} [range] - Only include this part of the transcript (see resolveRange).
+     * @returns {Promise<{body: string, template: string | null, metadata: object, format: string | null, cues: object[]} | null>}
+     *     The parts, with a null template and format for subtitle modes, or null on failure.
+     */
+    async function assembleTranscriptParts(button, idleLabel, range) {
+        // 1. Get Data from JSON Blob and DOM
+        const courseData = getCourseData();
+        if (!courseData) {
+            logger.warn(getPrefix(), 'Could not parse course data. Falling back to simple Section/Lecture titles.');
+        }
+        let metadata = {};
+        try {
+            metadata = collectMetadata(courseData);
+        } catch (e) {
+            logger.error(getPrefix(), 'Failed to collect metadata:', e);
+        }
+
+        // Notes, resources and Q&A have nowhere to go in subtitle files
+        let lectureNotes = null;
+        if (userSettings.outputMode !== 'srt' && userSettings.outputMode !== 'vtt') {
+            button.textContent = 'Fetching extras...';
+            const extras = await fetchLectureExtras(courseData);
+            metadata = { ...metadata, ...extras.fields };
+            lectureNotes = extras.notes;
+        }
+
+        const { captionLanguage, secondaryLanguage } = getLanguageSettings(getCourseId(courseData));
+
+        // The caption track is fetched at most once, whichever step needs it first
+        let trackCues = null;
+        const getTrackCues = async () => {
+            if (!trackCues) trackCues = await fetchCurrentLectureCues(courseData, captionLanguage);
+            return trackCues;
+        };
+
+        // 2. Get Transcript Text (from DOM, or from the caption track when the sidebar is closed
+        //    or a specific caption language was chosen)
+        const transcriptPanel = queryField('transcriptPanel');
+        let panelTexts;
+        if (captionLanguage) {
+            try {
+                button.textContent = 'Fetching captions...';
+                panelTexts = (await getTrackCues()).map(cue => cue.text);
+            } catch (e) {
+                logger.error(getPrefix(), 'Chosen caption language unavailable:', e);
+                button.textContent = 'Language unavailable';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+        } else if (transcriptPanel) {
+            panelTexts = readPanelCueTexts(transcriptPanel);
+            if (panelTexts.length === 0) {
+                logger.warn(getPrefix(), 'No transcript text found to copy.');
+                button.textContent = 'No text found';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+        } else {
+            logger.warn(getPrefix(), 'Transcript panel not found. Falling back to the caption track.');
+            try {
+                button.textContent = 'Fetching captions...';
+                panelTexts = (await getTrackCues()).map(cue => cue.text);
+            } catch (e) {
+                logger.error(getPrefix(), 'Transcript panel not found and captions unavailable:', e);
+                button.textContent = 'Error: Panel not found';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+        }
+
+        // 2b. Narrow the transcript to the requested range (time ranges need the caption timings)
+        // The panel and the track can hold different numbers of cues, so the full lists are
+        // aligned with each other first and only the aligned cues are cut down to the range
+        const allPanelTexts = panelTexts;
+        let rangeBounds = null;
+        const getAlignedCues = async align => {
+            const aligned = align(allPanelTexts, await getTrackCues());
+            return rangeBounds ? aligned.slice(rangeBounds.first, rangeBounds.last + 1) : aligned;
+        };
+        if (range) {
+            // Cue ranges count the panel's cues, which a chosen caption language replaces
+            if (range.kind === 'cues' && captionLanguage) {
+                logger.warn(getPrefix(), 'Cue ranges are unavailable with a caption language chosen.');
+                button.textContent = 'Use a time span';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+            let timedCues = null;
+            if (range.kind === 'time') {
+                try {
+                    button.textContent = 'Fetching timings...';
+                    timedCues = await getAlignedCues(buildTimedCues);
+                } catch (e) {
+                    logger.error(getPrefix(), 'Failed to fetch caption timings for the range:', e);
+                    button.textContent = 'Timings unavailable';
+                    setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                    return null;
+                }
+                // If the panel and track disagree, the timed cues carry the track's text
+                panelTexts = timedCues.map(cue => cue.text);
+            }
+            rangeBounds = resolveRange(range, panelTexts.length, timedCues);
+            if (!rangeBounds) {
+                button.textContent = 'Nothing in range';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+            panelTexts = panelTexts.slice(rangeBounds.first, rangeBounds.last + 1);
+            metadata.range = rangeBounds.label;
+            logger.log(getPrefix(), `Copying range ${rangeBounds.label}.`);
+        }
+
+        // 3. Format the transcript body
+        const mode = userSettings.outputMode;
+        let body;
+        let cues = null; // The cues with their timings, when the mode needed them
+
+        if (secondaryLanguage && mode !== 'prose') {
+            try {
+                button.textContent = 'Fetching captions...';
+                const primaryCues = await getAlignedCues(buildTimedCues);
+                let secondaryCues = await fetchCurrentLectureCues(courseData, secondaryLanguage);
+                if (rangeBounds) {
+                    const start = primaryCues[0].start;
+                    const end = primaryCues[primaryCues.length - 1].end;
+                    secondaryCues = secondaryCues.filter(cue => cue.start < end && cue.end > start);
+                }
+                cues = primaryCues;
+                const labels = [captionLanguage || 'Transcript', secondaryLanguage];
+                body = formatBilingualTranscript(alignBilingualCues(primaryCues, secondaryCues), mode, userSettings.bilingualLayout, labels);
+            } catch (e) {
+                logger.error(getPrefix(), 'Failed to build bilingual transcript:', e);
+                button.textContent = 'Language unavailable';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+        } else if (mode === 'plain') {
+            body = panelTexts.join('\n'); // Join with a newline for proper formatting.
+        } else if (mode === 'prose') {
+            if (secondaryLanguage) {
+                logger.warn(getPrefix(), 'Prose mode does not support bilingual output. Using the primary language only.');
+            }
+            // Timings only refine paragraph breaks, so carry on with punctuation alone if they are unavailable
+            try {
+                button.textContent = 'Fetching timings...';
+                cues = await getAlignedCues(alignCueText);
+            } catch (e) {
+                logger.warn(getPrefix(), 'Caption timings unavailable, reflowing by punctuation only:', e);
+            }
+            body = reflowTranscript(cues || panelTexts.map(text => ({ text })), { removeFillers: userSettings.removeFillers });
+        } else {
+            let timedCues;
+            try {
+                button.textContent = 'Fetching timings...';
+                timedCues = await getAlignedCues(buildTimedCues);
+            } catch (e) {
+                logger.error(getPrefix(), 'Failed to fetch caption timings:', e);
+                button.textContent = 'Timings unavailable';
+                setTimeout(() => { button.textContent = idleLabel; }, 3000);
+                return null;
+            }
+            cues = timedCues;
+
+            if (mode === 'timestamped' && lectureNotes && lectureNotes.length > 0) {
+                // Notes go next to the moment they were taken instead of in their own section;
+                // a range copy keeps only the notes taken during the range
+                const rangeStart = timedCues[0].start;
+                const rangeEnd = timedCues[timedCues.length - 1].end;
+                const notes = rangeBounds
+                    ? lectureNotes.filter(note => note.position >= rangeStart && note.position < rangeEnd)
+                    : lectureNotes;
+                body = formatTimestampedWithNotes(timedCues, notes);
+                metadata.notes = '';
+            } else {
+                body = formatTimedCues(timedCues, mode);
+            }
+        }
+
+        // 4. Pick the output template and format (subtitle files cannot carry a header)
+        const subtitles = mode === 'srt' || mode === 'vtt';
+        const template = subtitles ? null : getActiveTemplate(userSettings, !!courseData);
+        const format = subtitles ? null : userSettings.outputFormat;
+
+        // 5. Structured formats list the cues, with timings whenever the caption track has them
+        if (format && OUTPUT_FORMATTERS[format].needsTimings && !cues) {
+            try {
+                button.textContent = 'Fetching timings...';
+                cues = await getAlignedCues(buildTimedCues);
+            } catch (e) {
+                logger.warn(getPrefix(), 'Caption timings unavailable; listing the cues without them:', e);
+            }
+        }
+        if (!cues) cues = panelTexts.map(text => ({ start: null, end: null, text }));
+        return { body, template, metadata, format, cues };
+    }
+
+    /**
+     * Renders assembled transcript parts into the final text with the formatter of their format.
+     * @param {{body: string, template: string | null, metadata: object, format: string | null, cues: object[]}} parts - The assembled parts.
+     * @returns {string} The rendered text.
+     */
+    function renderTranscriptParts(parts) {
+        return parts.format === null ? parts.body : OUTPUT_FORMATTERS[parts.format].render(parts);
+    }
+
+    /**
+     * Handles the copy to clipboard action and provides user feedback.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     */
+    async function handleCopyClick(button) {
+        logger.log(getPrefix(), 'Copy button clicked.');
+        const parts = await assembleTranscriptParts(button, 'Copy Transcript');
+        if (parts === null) return;
+        const transcriptText = renderTranscriptParts(parts);
+
+        if (userSettings.llmMode) {
+            const chunks = buildLlmChunks(parts, userSettings);
+            if (renderLlmChunks(chunks)) {
+                button.textContent = `${chunks.length} Part${chunks.length === 1 ? '' : 's'} Ready`;
+            } else {
+                // No sidebar to list the parts in (e.g. run from a shortcut), so hand over the first one
+                const copied = await copyToClipboard(chunks[0]);
+                button.textContent = copied ? `Copied Part 1 of ${chunks.length}` : 'Copy Failed!';
+            }
+        } else {
+            const copied = await copyToClipboard(transcriptText, { markdown: isMarkdownFormat(parts.format) });
+            button.textContent = copied ? 'Copied!' : 'Copy Failed!';
+        }
+        await archiveCurrentLecture(transcriptText, parts.format);
+
+        setTimeout(() => {
+            button.textContent = 'Copy Transcript';
+        }, 2000);
+    }
+
+    /**
+     * Handles the download action, saving the transcript under the configured filename pattern.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     */
+    async function handleDownloadClick(button) {
+        logger.log(getPrefix(), 'Download button clicked.');
+        const parts = await assembleTranscriptParts(button, 'Download');
+        if (parts === null) return;
+        const transcriptText = renderTranscriptParts(parts);
+
+        downloadText(transcriptText, buildFilename(userSettings.filenamePattern, getLectureContext(), getOutputExtension(userSettings)));
+        button.textContent = 'Downloaded!';
+        await archiveCurrentLecture(transcriptText, parts.format);
+
+        setTimeout(() => {
+            button.textContent = 'Download';
+        }, 2000);
+    }
+
+    /**
+     * Injects the Copy, Download and Settings buttons and the Settings Panel into the page.
+     * @param {HTMLElement} transcriptContent - The sidebar content element to prepend to.
+     */
+    function injectUI(transcriptContent) {
+        const existingContainer = document.getElementById('utc-ui-container');
+        if (existingContainer && transcriptContent.contains(existingContainer)) {
+            logger.log(getPrefix(), 'UI already injected.');
+            return;
+        }
+        if (existingContainer) teardownUI(); // Left behind by a previous sidebar
+        logger.log(getPrefix(), 'Injecting UI...');
+
+        const uiContainer = document.createElement('div');
+        uiContainer.id = 'utc-ui-container';
+        uiContainer.style.padding = '10px 16px 0 16px';
+        
+        // 1. Create and add Settings Panel (hidden)
+        const settingsPanel = createSettingsPanel();
+        uiContainer.appendChild(settingsPanel);
+
+        // 2. Create and add Library Panel (hidden)
+        uiContainer.appendChild(createLibraryPanel());
+
+        // 3. Create button container
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.display = 'flex';
+        buttonContainer.style.gap = '10px';
+        buttonContainer.style.marginBottom = '10px';
+
+        // 4. Create Copy Button
+        const copyButton = document.createElement('button');
+        copyButton.id = 'custom-copy-transcript-btn';
+        copyButton.textContent = 'Copy Transcript';
+        copyButton.className = 'ud-btn ud-btn-medium ud-btn-secondary';
+        copyButton.style.flexGrow = '1';
+        copyButton.addEventListener('click', () => handleCopyClick(copyButton));
+        buttonContainer.appendChild(copyButton);
+
+        // 5. Create Download Button
+        const downloadButton = document.createElement('button');
+        downloadButton.id = 'custom-download-transcript-btn';
+        downloadButton.textContent = 'Download';
+        downloadButton.className = 'ud-btn ud-btn-medium ud-btn-secondary';
+        downloadButton.addEventListener('click', () => handleDownloadClick(downloadButton));
+        buttonContainer.appendChild(downloadButton);
+
+        const sendButton = document.createElement('button');
+        sendButton.id = 'utc-send-transcript-btn';
+        sendButton.textContent = 'Send';
+        sendButton.className = 'ud-btn ud-btn-medium ud-btn-secondary';
+        sendButton.style.display = userSettings.webhookUrl ? '' : 'none'; // Only offered once an endpoint is configured
+        sendButton.addEventListener('click', () => handleSendClick(sendButton));
+        buttonContainer.appendChild(sendButton);
+
+        // 6. Create Settings Button
+        const settingsButton = document.createElement('button');
+        settingsButton.id = 'custom-transcript-settings-btn';
+        settingsButton.innerHTML = `<svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-medium"><use xlink:href="#icon-settings"></use></svg>`;
+        settingsButton.className = 'ud-btn ud-btn-medium ud-btn-ghost';
+        settingsButton.style.minWidth = 'auto'; // Shrink to fit icon
+        settingsButton.addEventListener('click', toggleSettingsPanel);
+        buttonContainer.appendChild(settingsButton);
+
+        // Add button container to main UI container
+        uiContainer.appendChild(buttonContainer);
+
+        // 7. Create Bulk Export Buttons
+        const exportContainer = document.createElement('div');
+        exportContainer.style.display = 'flex';
+        exportContainer.style.gap = '10px';
+        exportContainer.style.marginBottom = '10px';
+
+        const exportSectionButton = document.createElement('button');
+        exportSectionButton.id = 'utc-export-section-btn';
+        exportSectionButton.textContent = 'Export Section';
+        exportSectionButton.className = 'ud-btn ud-btn-small ud-btn-secondary';
+        exportSectionButton.style.flex = '1';
+        exportSectionButton.addEventListener('click', () => handleExportClick(exportSectionButton, 'section'));
+        exportContainer.appendChild(exportSectionButton);
+
+        const exportCourseButton = document.createElement('button');
+        exportCourseButton.id = 'utc-export-course-btn';
+        exportCourseButton.textContent = 'Export Course';
+        exportCourseButton.className = 'ud-btn ud-btn-small ud-btn-secondary';
+        exportCourseButton.style.flex = '1';
+        exportCourseButton.addEventListener('click', () => handleExportClick(exportCourseButton, 'course'));
+        exportContainer.appendChild(exportCourseButton);
+
+        const outlineButton = document.createElement('button');
+        outlineButton.id = 'utc-copy-outline-btn';
+        outlineButton.textContent = 'Copy Outline';
+        outlineButton.className = 'ud-btn ud-btn-small ud-btn-secondary';
+        outlineButton.style.flex = '1';
+        outlineButton.addEventListener('click', () => handleCopyOutlineClick(outlineButton));
+        exportContainer.appendChild(outlineButton);
+
+        uiContainer.appendChild(exportContainer);
+        uiContainer.appendChild(createRangeTools());
+
+        // Shift-clicks select cues; the capture phase sees them before the cue's own seek handler
+        transcriptContent.addEventListener('click', handleCueShiftClick, true);
+        registerUICleanup(() => transcriptContent.removeEventListener('click', handleCueShiftClick, true));
+
+        // A running export keeps going across re-injection; point its progress at the new button
+        if (activeExport) {
+            activeExport.button = activeExport.scope === 'course' ? exportCourseButton : exportSectionButton;
+        }
+
+        // Keep the template preview in step with the lecture being watched, and drop parts of the previous lecture
+        registerUICleanup(onLectureChange(() => {
+            if (settingsPanel.style.display !== 'none') updateTemplatePreview(settingsPanel);
+            clearLlmChunks();
+            resetRangeTools();
+        }));
+        
+        // Add the UI container to the page
+        transcriptContent.prepend(uiContainer);
+        updateSelectionStatus();
+    }
+
+    // --- 7. Transcript Ranges & Search ---
+    const DEFAULT_RECENT_MINUTES = 2;
+    const SEARCH_CONTEXT_CUES = 3; // Cues copied on either side of a search match
+    const SEARCH_RESULT_LIMIT = 20;
+    const SELECTION_HIGHLIGHT = '#dbe8ff';
+    const SEARCH_HIGHLIGHT = '#fff3bf';
+
+    let cueSelection = null; // { from: number, to: number, complete: boolean }, as cue indices
+    let searchMatches = []; // Indices of the cues matching the transcript search
+
+    /**
+     * Parses a "mm:ss" or "h:mm:ss" time typed by the user.
+     * @param {string} text - The time.
+     * @returns {number} The time in seconds, or NaN if the text is not a time.
+     */
+    function parseTimeInput(text) {
+        const trimmed = (text || '').trim();
+        return /^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(trimmed) ? parseVttTimestamp(trimmed) : NaN;
+    }
+
+    /**
+     * Reads the video player's current position.
+     * @returns {number | null} The position in seconds, or null if no video player is found.
+     */
+    function getPlaybackPosition() {
+        const video = queryField('videoPlayer');
+        return video && Number.isFinite(video.currentTime) ? video.currentTime : null;
+    }
+
+    /**
+     * Narrows a transcript to a range of cues. Time ranges keep every cue that overlaps them.
+     * @param {{kind: 'time', start: number, end: number} | {kind: 'cues', from: number, to: number}} range - The range.
+     * @param {number} cueCount - The number of cues in the transcript.
+     * @param {{start: number, end: number}[] | null} timedCues - The timed cues; required for time ranges.
+     * @returns {{first: number, last: number, label: string} | null} The inclusive cue bounds and a
+     *     description of the range for the header, or null if the range holds no cues.
+     */
+    function resolveRange(range, cueCount, timedCues) {
+        if (range.kind === 'cues') {
+            const first = Math.max(0, range.from);
+            const last = Math.min(cueCount - 1, range.to);
+            return first <= last ? { first, last, label: `Cues ${first + 1}–${last + 1} of ${cueCount}` } : null;
+        }
+        const inRange = timedCues
+            .map((cue, i) => (cue.start < range.end && cue.end > range.start ? i : -1))
+            .filter(i => i !== -1);
+        if (inRange.length === 0) return null;
+        return {
+            first: inRange[0],
+            last: inRange[inRange.length - 1],
+            label: `${formatTimestamp(range.start)}–${formatTimestamp(range.end)}`,
+        };
+    }
+
+    /**
+     * Lists the transcript panel's cues the way copies read them, one per cue text (see
+     * readPanelCueTexts), so selection, search and highlighting share the copies' cue indices.
+     * @returns {{element: HTMLElement, text: string}[]} Each cue's text and the cue element holding it,
+     *     or the text element itself when no cue element does.
+     */
+    function readPanelCues() {
+        const cueElements = new Set(queryAllFields('transcriptCue'));
+        return queryAllFields('cueText').map(textElement => {
+            let element = textElement;
+            while (element && !cueElements.has(element)) element = element.parentElement;
+            return { element: element || textElement, text: textElement.textContent.trim() };
+        });
+    }
+
+    /**
+     * Tells whether cue ranges can be copied. With a caption language chosen, copies are read from
+     * that language's caption track, whose cues do not line up with the ones in the panel.
+     * @returns {boolean} True when copies read the same cues the panel shows.
+     */
+    function cueRangesAvailable() {
+        return !getLanguageSettings(getCourseId(getCourseData())).captionLanguage;
+    }
+
+    /**
+     * Colours the selected cues and the search matches in the transcript panel.
+     * Only inline backgrounds are touched, so Udemy's own rendering of the cues is left alone.
+     */
+    function renderCueHighlights() {
+        const cues = readPanelCues().map(cue => cue.element);
+        const matches = new Set(searchMatches);
+        cues.forEach((cue, i) => {
+            const selected = cueSelection && i >= cueSelection.from && i <= cueSelection.to;
+            if (selected || matches.has(i)) {
+                cue.style.backgroundColor = selected ? SELECTION_HIGHLIGHT : SEARCH_HIGHLIGHT;
+                cue.dataset.utcHighlight = 'true';
+            } else if (cue.dataset.utcHighlight) {
+                cue.style.backgroundColor = '';
+                delete cue.dataset.utcHighlight;
+            }
+        });
+    }
+
+    /**
+     * Updates the selection status line and the "Copy Selection" button.
+     */
+    function updateSelectionStatus() {
+        const status = document.getElementById('utc-selection-status');
+        const copyButton = document.getElementById('utc-copy-selection');
+        if (!status || !copyButton) return;
+        if (!cueRangesAvailable()) {
+            status.textContent = 'Cue selection is unavailable with a caption language chosen; copy a time span instead.';
+            copyButton.disabled = true;
+            return;
+        }
+        if (!cueSelection) {
+            status.textContent = 'Shift-click two cues in the transcript to select them.';
+        } else if (!cueSelection.complete) {
+            status.textContent = `Cue ${cueSelection.from + 1} selected; shift-click the last cue.`;
+        } else {
+            status.textContent = `Cues ${cueSelection.from + 1}–${cueSelection.to + 1} selected.`;
+        }
+        copyButton.disabled = !cueSelection;
+    }
+
+    /**
+     * Selects cues by shift-clicking: the first click marks the start, the second the end, and a
+     * third starts over. Shift-clicks are kept from the player, which would otherwise seek.
+     * @param {MouseEvent} event - The click event, captured on the transcript sidebar.
+     */
+    function handleCueShiftClick(event) {
+        if (!event.shiftKey || !cueRangesAvailable()) return;
+        const index = readPanelCues().findIndex(cue => cue.element.contains(event.target));
+        if (index === -1) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (!cueSelection || cueSelection.complete) {
+            cueSelection = { from: index, to: index, complete: false };
+        } else {
+            const anchor = cueSelection.from;
+            cueSelection = { from: Math.min(anchor, index), to: Math.max(anchor, index), complete: true };
+        }
+        renderCueHighlights();
+        updateSelectionStatus();
+    }
+
+    /**
+     * Finds the cues containing the search text and lists them with a button to copy their surroundings.
+     * @param {string} query - The text to search for.
+     */
+    function runTranscriptSearch(query) {
+        const results = document.getElementById('utc-search-results');
+        if (!results) return;
+        results.innerHTML = '';
+        const term = query.trim().toLowerCase();
+        const cues = readPanelCues();
+        const texts = cues.map(cue => cue.text);
+        searchMatches = term.length < 2 ? [] : texts
+            .map((text, i) => (text.toLowerCase().includes(term) ? i : -1))
+            .filter(i => i !== -1);
+        renderCueHighlights();
+        if (term.length < 2) return;
+
+        const summary = document.createElement('div');
+        summary.className = 'ud-text-xs';
+        summary.textContent = searchMatches.length === 0
+            ? 'No matches.'
+            : `${searchMatches.length} match${searchMatches.length === 1 ? '' : 'es'}` +
+                (searchMatches.length > SEARCH_RESULT_LIMIT ? `, showing the first ${SEARCH_RESULT_LIMIT}` : '');
+        results.appendChild(summary);
+
+        const canCopy = cueRangesAvailable();
+        for (const index of searchMatches.slice(0, SEARCH_RESULT_LIMIT)) {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: flex-start; gap: 6px; padding: 4px 0; border-top: 1px solid #d1d7dc;';
+            const snippet = document.createElement('span');
+            snippet.className = 'ud-text-xs';
+            snippet.style.cssText = 'flex: 1; cursor: pointer;';
+            snippet.title = 'Show in transcript';
+            appendHighlighted(snippet, texts.slice(Math.max(0, index - 1), index + 2).join(' '), [term]);
+            snippet.addEventListener('click', () => {
+                cues[index].element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            });
+            const copyButton = document.createElement('button');
+            copyButton.className = 'ud-btn ud-btn-xsmall ud-btn-secondary';
+            copyButton.textContent = 'Copy Context';
+            if (!canCopy) {
+                copyButton.disabled = true;
+                copyButton.title = 'Unavailable with a caption language chosen';
+            }
+            copyButton.addEventListener('click', () => handleRangeCopyClick(copyButton,
+                () => ({ kind: 'cues', from: index - SEARCH_CONTEXT_CUES, to: index + SEARCH_CONTEXT_CUES })));
+            row.append(snippet, copyButton);
+            results.appendChild(row);
+        }
+    }
+
+    /**
+     * Clears the cue selection and the search, e.g. when another lecture starts.
+     */
+    function resetRangeTools() {
+        cueSelection = null;
+        searchMatches = [];
+        const searchInput = document.getElementById('utc-transcript-search');
+        if (searchInput) searchInput.value = '';
+        const results = document.getElementById('utc-search-results');
+        if (results) results.innerHTML = '';
+        renderCueHighlights();
+        updateSelectionStatus();
+    }
+
+    /**
+     * Copies part of the transcript with the usual header, noting the range in it. Partial copies
+     * are not added to the library, so they never replace a lecture's full transcript there.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     * @param {function(): (object | string)} getRange - Returns the range to copy, or an error message for the button.
+     */
+    async function handleRangeCopyClick(button, getRange) {
+        const idleLabel = button.textContent;
+        const range = getRange();
+        if (typeof range === 'string') {
+            button.textContent = range;
+            setTimeout(() => { button.textContent = idleLabel; }, 3000);
+            return;
+        }
+
+        const parts = await assembleTranscriptParts(button, idleLabel, range);
+        if (parts === null) return;
+        const copied = await copyToClipboard(renderTranscriptParts(parts), { markdown: isMarkdownFormat(parts.format) });
+        button.textContent = copied ? 'Copied!' : 'Copy Failed!';
+        setTimeout(() => {
+            button.textContent = idleLabel;
+        }, 2000);
+    }
+
+    /**
+     * Creates the collapsible "Copy a Part" tools: recent minutes, a time span, the shift-click
+     * selection and the transcript search.
+     * @returns {HTMLElement} The tools element.
+     */
+    function createRangeTools() {
+        const tools = document.createElement('details');
+        tools.id = 'utc-range-tools';
+        tools.style.marginBottom = '10px';
+        tools.innerHTML = `
+            <summary class="ud-text-sm" style="cursor: pointer;">Copy a Part or Search</summary>
+            <div style="display: flex; flex-direction: column; gap: 6px; margin-top: 8px;">
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span class="ud-text-xs" style="flex: 1;">Last</span>
+                    <input type="number" id="utc-range-minutes" min="1" value="${DEFAULT_RECENT_MINUTES}" class="ud-text-xs" style="width: 50px; padding: 2px;">
+                    <span class="ud-text-xs">min before now</span>
+                    <button id="utc-copy-recent" class="ud-btn ud-btn-xsmall ud-btn-secondary">Copy</button>
+                </div>
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span class="ud-text-xs" style="flex: 1;">From</span>
+                    <input type="text" id="utc-range-from" placeholder="mm:ss" class="ud-text-xs" style="width: 60px; padding: 2px;">
+                    <span class="ud-text-xs">to</span>
+                    <input type="text" id="utc-range-to" placeholder="mm:ss" class="ud-text-xs" style="width: 60px; padding: 2px;">
+                    <button id="utc-copy-between" class="ud-btn ud-btn-xsmall ud-btn-secondary">Copy</button>
+                </div>
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span id="utc-selection-status" class="ud-text-xs" style="flex: 1;"></span>
+                    <button id="utc-clear-selection" class="ud-btn ud-btn-xsmall ud-btn-ghost">Clear</button>
+                    <button id="utc-copy-selection" class="ud-btn ud-btn-xsmall ud-btn-secondary">Copy</button>
+                </div>
+                <input type="search" id="utc-transcript-search" placeholder="Search in transcript" class="ud-text-sm" style="width: 100%; padding: 4px;">
+                <div id="utc-search-results" style="max-height: 240px; overflow-y: auto;"></div>
+            </div>
+        `;
+
+        tools.querySelector('#utc-copy-recent').addEventListener('click', event => handleRangeCopyClick(event.currentTarget, () => {
+            const position = getPlaybackPosition();
+            const minutes = Number(tools.querySelector('#utc-range-minutes').value);
+            if (position === null) return 'No video found';
+            if (!(minutes > 0)) return 'Enter minutes';
+            return { kind: 'time', start: Math.max(0, position - minutes * 60), end: position };
+        }));
+        tools.querySelector('#utc-copy-between').addEventListener('click', event => handleRangeCopyClick(event.currentTarget, () => {
+            const start = parseTimeInput(tools.querySelector('#utc-range-from').value);
+            const end = parseTimeInput(tools.querySelector('#utc-range-to').value);
+            if (Number.isNaN(start) || Number.isNaN(end) || end <= start) return 'Enter mm:ss times';
+            return { kind: 'time', start, end };
+        }));
+        tools.querySelector('#utc-copy-selection').addEventListener('click', event => handleRangeCopyClick(event.currentTarget,
+            () => (cueSelection ? { kind: 'cues', from: cueSelection.from, to: cueSelection.to } : 'Select cues first')));
+        tools.querySelector('#utc-clear-selection').addEventListener('click', () => {
+            cueSelection = null;
+            renderCueHighlights();
+            updateSelectionStatus();
+        });
+        tools.querySelector('#utc-transcript-search').addEventListener('input', event => runTranscriptSearch(event.currentTarget.value));
+        return tools;
+    }
+
+    // --- 8. LLM Chunks ---
+    // In LLM mode, Copy splits the transcript into parts that fit a model's context window.
+    // Every part repeats the prompt and the rendered metadata header, so each one can be
+    // pasted on its own, and parts only ever end at a sentence (or subtitle cue) boundary.
+    const CHARS_PER_TOKEN = 4; // Rough average for English text with common tokenizers
+    const MIN_CHUNK_BODY_CHARS = 200; // Floor for the transcript share of a part when the header is huge
+
+    /**
+     * Estimates how many tokens a text takes up in an LLM prompt.
+     * @param {string} text - The text.
+     * @returns {number} The estimated token count.
+     */
+    function estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Splits a transcript body into the smallest pieces a part may end after: whole cues for
+     * subtitle modes, whole sentences otherwise. Joining the pieces gives back the body.
+     * @param {string} body - The formatted transcript body.
+     * @param {string} mode - The output mode the body was formatted with.
+     * @returns {string[]} The pieces, each keeping its trailing whitespace.
+     */
+    function splitIntoSegments(body, mode) {
+        if (mode === 'srt' || mode === 'vtt') {
+            return body.match(/[\s\S]+?(?:\n{2,}|$)/g) || [];
+        }
+        return body.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g) || [];
+    }
+
+    /**
+     * Breaks a single segment that is longer than the limit at word boundaries, as a last resort.
+     * @param {string} segment - The oversized segment.
+     * @param {number} limit - The maximum length in characters.
+     * @returns {string[]} The pieces, none longer than the limit unless a single word is.
+     */
+    function splitLongSegment(segment, limit) {
+        const pieces = [];
+        let piece = '';
+        for (const word of segment.match(/\S+\s*/g) || []) {
+            if (piece && piece.length + word.length > limit) {
+                pieces.push(piece);
+                piece = '';
+            }
+            piece += word;
+        }
+        if (piece) pieces.push(piece);
+        return pieces;
+    }
+
+    /**
+     * Packs a transcript body into as few chunks as possible, each at most the given length.
+     * @param {string} body - The formatted transcript body.
+     * @param {string} mode - The output mode the body was formatted with.
+     * @param {number} limit - The maximum chunk length in characters.
+     * @returns {string[]} The chunks, trimmed.
+     */
+    function chunkTranscript(body, mode, limit) {
+        const chunks = [];
+        let chunk = '';
+        for (const segment of splitIntoSegments(body, mode)) {
+            if (segment.length > limit) {
+                logger.warn(getPrefix(), `A ${segment.length}-character sentence exceeds the chunk size; splitting it between words.`);
+                if (chunk) chunks.push(chunk);
+                const pieces = splitLongSegment(segment, limit);
+                chunk = pieces.pop();
+                chunks.push(...pieces);
+                continue;
+            }
+            if (chunk && chunk.length + segment.length > limit) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            chunk += segment;
+        }
+        if (chunk) chunks.push(chunk);
+        return chunks.map(text => text.trim()).filter(Boolean);
+    }
+
+    /**
+     * Builds the LLM parts for an assembled transcript: the prompt, a "Part N of M" line and the
+     * metadata header are repeated on every part, and the chunk size covers all of it.
+     * Parts always use the Markdown template whatever the output format, since a JSON document or
+     * HTML page cut into pieces would not be valid in any one of them.
+     * @param {{body: string, template: string | null, metadata: object}} parts - The assembled transcript parts.
+     * @param {object} settings - The settings holding the llm* options and output mode.
+     * @returns {string[]} The ready-to-paste parts.
+     */
+    function buildLlmChunks(parts, settings) {
+        const limit = settings.llmChunkUnit === 'tokens' ? settings.llmChunkSize * CHARS_PER_TOKEN : settings.llmChunkSize;
+        // The prompt may use the output template's placeholders, e.g. "Summarise {{lecture}}"
+        const prompt = renderTemplate(settings.llmPrompt, parts.metadata).trim();
+        const wrap = (chunk, partNumber, partCount) => {
+            const pieces = [];
+            if (prompt) pieces.push(prompt);
+            pieces.push(`[Part ${partNumber} of ${partCount}]`);
+            pieces.push(parts.template === null ? chunk : renderTemplate(parts.template, { ...parts.metadata, transcript: chunk }));
+            return pieces.join('\n\n');
+        };
+
+        // Reserve room for the widest plausible part numbering
+        const overhead = wrap('', 999, 999).length;
+        if (overhead + MIN_CHUNK_BODY_CHARS > limit) {
+            logger.warn(getPrefix(), `The prompt and header take ${overhead} characters, leaving little room under the chunk size.`);
+        }
+        const chunks = chunkTranscript(parts.body, settings.outputMode, Math.max(MIN_CHUNK_BODY_CHARS, limit - overhead));
+        logger.log(getPrefix(), `Split the transcript into ${chunks.length} LLM part(s).`);
+        return chunks.map((chunk, i) => wrap(chunk, i + 1, chunks.length));
+    }
+
+    /**
+     * Shows a copy button per LLM part in the sidebar UI, replacing any previous list.
+     * @param {string[]} chunks - The parts returned by buildLlmChunks.
+     * @returns {boolean} Whether the list was shown; false if the sidebar UI is not injected.
+     */
+    function renderLlmChunks(chunks) {
+        const uiContainer = document.getElementById('utc-ui-container');
+        if (!uiContainer) return false;
+        clearLlmChunks();
+
+        const list = document.createElement('div');
+        list.id = 'utc-llm-chunks';
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 6px; margin-bottom: 10px;';
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        const summary = document.createElement('span');
+        summary.className = 'ud-text-sm';
+        summary.style.flex = '1';
+        summary.textContent = `${chunks.length} part${chunks.length === 1 ? '' : 's'} for your LLM`;
+        const clearButton = document.createElement('button');
+        clearButton.className = 'ud-btn ud-btn-xsmall ud-btn-ghost';
+        clearButton.textContent = 'Clear';
+        clearButton.addEventListener('click', clearLlmChunks);
+        header.append(summary, clearButton);
+        list.appendChild(header);
+
+        chunks.forEach((chunk, i) => {
+            const label = `Copy Part ${i + 1} of ${chunks.length} (${chunk.length.toLocaleString()} chars, ~${estimateTokens(chunk).toLocaleString()} tokens)`;
+            const button = document.createElement('button');
+            button.className = 'ud-btn ud-btn-small ud-btn-secondary';
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                const copied = await copyToClipboard(chunk);
+                button.textContent = copied ? 'Copied!' : 'Copy Failed!';
+                setTimeout(() => {
+                    // Keep a tick on parts already copied, so it is easy to see which one is next
+                    button.textContent = copied ? `✓ ${label}` : label;
+                }, 2000);
+            });
+            list.appendChild(button);
+        });
+
+        const buttonRow = document.getElementById('custom-copy-transcript-btn');
+        const anchor = buttonRow ? buttonRow.parentElement.nextSibling : null;
+        uiContainer.insertBefore(list, anchor);
+        return true;
+    }
+
+    /**
+     * Removes the list of LLM parts, if shown.
+     */
+    function clearLlmChunks() {
+        const list = document.getElementById('utc-llm-chunks');
+        if (list) list.remove();
+    }
+
+    // --- 9. Bulk Export ---
+    const EXPORT_REQUEST_DELAY_MS = 750; // Pause between caption requests to avoid hammering the API
+    const CURRICULUM_PAGE_SIZE = 200;
+
+    let activeExport = null; // { controller: AbortController, button: HTMLButtonElement, scope: string }
+
+    // How API and caption requests are made: the site the API lives on, the fetch function and the
+    // pause between caption requests. configureNetwork replaces them, e.g. to run against mocked responses.
+    const network = {
+        origin: typeof window === 'object' ? window.location.origin : '',
+        fetch: (url, init) => fetch(url, init),
+        requestDelayMs: EXPORT_REQUEST_DELAY_MS,
+    };
+
+    /**
+     * Overrides how API and caption requests are made.
+     * @param {{origin?: string, fetch?: function(string, object): Promise<Response>, requestDelayMs?: number}} overrides - The settings to replace.
+     */
+    function configureNetwork(overrides) {
+        Object.assign(network, overrides);
+    }
+
+    /**
+     * Builds an absolute URL for Udemy's internal REST API.
+     * @param {string} path - The API path, starting with a slash.
+     * @returns {string} The full API URL.
+     */
+    function apiUrl(path) {
+        return `${network.origin}/api-2.0${path}`;
+    }
+
+    /**
+     * Fetches and parses a JSON response, throwing on non-2xx statuses.
+     * @param {string} url - The URL to fetch.
+     * @param {AbortSignal} [signal] - Optional signal used to cancel the request.
+     * @returns {Promise<object>} The parsed JSON body.
+     */
+    async function fetchJson(url, signal) {
+        const response = await network.fetch(url, { credentials: 'include', signal });
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}: ${url}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Waits for the given number of milliseconds, rejecting early if the signal is aborted.
+     * @param {number} ms - The delay in milliseconds.
+     * @param {AbortSignal} [signal] - Optional signal used to cancel the wait.
+     * @returns {Promise<void>}
+     */
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Determines the numeric course id from the course data blob or the page.
+     * @param {object | null} courseData - The parsed course data blob.
+     * @returns {number | null} The course id, or null if it cannot be found.
+     */
+    function getCourseId(courseData) {
+        const { value } = resolveField('courseId', { courseData });
+        return value ? Number(value) : null;
+    }
+
+    /**
+     * Reads the current lecture id from the player URL.
+     * @returns {number | null} The lecture id, or null if not on a lecture page.
+     */
+    function getCurrentLectureId() {
+        const match = window.location.pathname.match(/\/learn\/lecture\/(\d+)/);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Converts a WebVTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) to seconds.
+     * @param {string} timestamp - The timestamp to parse.
+     * @returns {number} The time in seconds.
+     */
+    function parseVttTimestamp(timestamp) {
+        const parts = timestamp.trim().split(':').map(parseFloat);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    /**
+     * Parses a WebVTT caption file into a list of cues.
+     * @param {string} vttText - The raw WebVTT file contents.
+     * @returns {{start: number, end: number, text: string}[]} The parsed cues.
+     */
+    function parseVtt(vttText) {
+        const cues = [];
+        const blocks = vttText.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) continue; // Header, NOTE or STYLE block
+
+            const [startText, endText] = lines[timingIndex].split('-->');
+            const text = lines.slice(timingIndex + 1)
+                .join(' ')
+                .replace(/<[^>]+>/g, '') // Strip inline voice/styling tags
+                .trim();
+            if (!text) continue;
+
+            cues.push({
+                start: parseVttTimestamp(startText),
+                end: parseVttTimestamp(endText.trim().split(/\s+/)[0]),
+                text,
+            });
+        }
+        return cues;
+    }
+
+    /**
+     * Fetches the full curriculum of a course, following pagination.
+     * @param {number} courseId - The course id.
+     * @param {AbortSignal} [signal] - Optional signal used to cancel the requests.
+     * @returns {Promise<object[]>} The flat list of curriculum items (chapters, lectures, quizzes...).
+     */
+    async function fetchCurriculum(courseId, signal) {
+        const params = new URLSearchParams({
+            page_size: String(CURRICULUM_PAGE_SIZE),
+            'fields[chapter]': 'title,object_index',
+            'fields[lecture]': 'title,object_index,asset,supplementary_assets',
+            'fields[quiz]': 'title,object_index,type',
+            'fields[practice]': 'title,object_index',
+            'fields[asset]': 'asset_type,captions,time_estimation',
+            caching_intent: 'True',
+        });
+        let url = apiUrl(`/courses/${courseId}/subscriber-curriculum-items/?${params}`);
+        const items = [];
+        while (url) {
+            const page = await fetchJson(url, signal);
+            items.push(...(page.results || []));
+            url = page.next;
+        }
+        logger.log(getPrefix(), `Fetched ${items.length} curriculum items.`);
+        return items;
+    }
+
+    /**
+     * Groups a flat curriculum item list into sections of lectures.
+     * @param {object[]} items - The curriculum items returned by fetchCurriculum.
+     * @param {string[]} [itemClasses] - The item classes to keep; quizzes and assignments are dropped by default.
+     * @returns {{title: string, index: number, lectures: object[]}[]} The sections in course order.
+     */
+    function groupCurriculum(items, itemClasses = ['lecture']) {
+        const sections = [];
+        let currentSection = null;
+        for (const item of items) {
+            if (item._class === 'chapter') {
+                currentSection = { title: item.title, index: item.object_index, lectures: [] };
+                sections.push(currentSection);
+            } else if (itemClasses.includes(item._class)) {
+                if (!currentSection) {
+                    // Some courses have lectures before their first section
+                    currentSection = { title: 'Introduction', index: 0, lectures: [] };
+                    sections.push(currentSection);
+                }
+                currentSection.lectures.push(item);
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * Picks the caption track to export from a lecture's available captions.
+     * With a language, only the track with that label (as listed in the course's
+     * captionedLanguages, e.g. "English [Auto]") or locale id will do. Without one,
+     * prefers a track matching the page language, falling back to the first one.
+     * @param {object[]} captions - The asset's caption tracks.
+     * @param {string} [language] - The caption language label or locale id to require.
+     * @returns {object | null} The chosen caption track, or null if none are available.
+     */
+    function selectCaptionTrack(captions, language) {
+        if (!captions || captions.length === 0) return null;
+        if (language) {
+            return captions.find(track =>
+                track.video_label === language || track.label === language || track.locale_id === language) || null;
+        }
+        // Without a live page (under Node) there is no page language to prefer
+        const pageLang = typeof document === 'object' ? (document.documentElement.lang || '').toLowerCase().split('-')[0] : '';
+        const match = pageLang && captions.find(track => (track.locale_id || '').toLowerCase().startsWith(pageLang));
+        return match || captions[0];
+    }
+
+    /**
+     * Downloads and parses a caption track.
+     * @param {object} track - The caption track, as returned in an asset's captions list.
+     * @param {AbortSignal} [signal] - Optional signal used to cancel the request.
+     * @returns {Promise<{start: number, end: number, text: string}[]>} The caption cues.
+     */
+    async function fetchCaptionCues(track, signal) {
+        // Caption files live on a CDN, so cookies must not be sent along
+        const response = await network.fetch(track.url, { signal });
+        if (!response.ok) {
+            throw new Error(`Caption request failed with status ${response.status}`);
+        }
+        return parseVtt(await response.text());
+    }
+
+    /**
+     * Updates an export button's label while preserving its cancel affordance.
+     * @param {HTMLButtonElement} button - The export button.
+     * @param {number} done - Number of lectures processed.
+     * @param {number} total - Total number of lectures to process.
+     */
+    function updateExportProgress(button, done, total) {
+        button.textContent = `Exporting ${done}/${total}... (click to cancel)`;
+    }
+
+    /**
+     * Formats one lecture's cues for a bulk export according to the output mode.
+     * @param {{start: number, end: number, text: string}[]} cues - The lecture's caption cues.
+     * @returns {string} The formatted lecture transcript.
+     */
+    function formatBulkCues(cues) {
+        switch (userSettings.outputMode) {
+            case 'plain':
+                return cues.map(cue => cue.text).join('\n');
+            case 'prose':
+                return reflowTranscript(cues, { removeFillers: userSettings.removeFillers });
+            default:
+                return formatTimedCues(cues, 'timestamped');
+        }
+    }
+
+    /**
+     * Fetches the captions of every lecture in the given sections and collects them into one export,
+     * which the output format's renderCourse turns into a document.
+     * Subtitle output modes produce [mm:ss] prefixed lines, since subtitle files cannot hold several lectures,
+     * and bilingual output is left to single-lecture copies.
+     * @param {string} courseTitle - The course title used as the top-level heading.
+     * @param {object[]} sections - The sections to export, as returned by groupCurriculum.
+     * @param {string} language - The caption language to export; empty for the page language.
+     * @param {AbortSignal} signal - Signal used to cancel the export.
+     * @param {function(number, number): void} onProgress - Called after each lecture with (done, total).
+     * @param {object[]} archive - Receives a library entry for every lecture whose captions were fetched.
+     * @returns {Promise<{courseTitle: string, sections: {index: number, title: string, lectures: object[]}[]}>}
+     *     The export. Each lecture has its number and title, and either its formatted body and cues,
+     *     or a null body and a note saying why there is no transcript.
+     */
+    async function buildBulkTranscript(courseTitle, sections, language, signal, onProgress, archive) {
+        const total = sections.reduce((count, section) => count + section.lectures.length, 0);
+        const course = { courseTitle, sections: [] };
+
+        let done = 0;
+        onProgress(done, total);
+        for (const section of sections) {
+            const exportedSection = { index: section.index, title: section.title, lectures: [] };
+            course.sections.push(exportedSection);
+            for (const lecture of section.lectures) {
+                const exportedLecture = { number: lecture.object_index, title: lecture.title, body: null, cues: null, note: null };
+                exportedSection.lectures.push(exportedLecture);
+                const track = selectCaptionTrack(lecture.asset && lecture.asset.captions, language);
+                if (track) {
+                    try {
+                        const cues = await fetchCaptionCues(track, signal);
+                        const text = formatBulkCues(cues);
+                        exportedLecture.body = text;
+                        exportedLecture.cues = cues;
+                        archive.push({
+                            lectureId: lecture.id,
+                            context: {
+                                courseTitle,
+                                sectionTitle: section.title,
+                                sectionNumber: section.index,
+                                lectureTitle: lecture.title,
+                                lectureNumber: lecture.object_index,
+                            },
+                            metadata: { courseTitle, section: section.title, lecture: lecture.title },
+                            text,
+                            format: 'markdown',
+                            extension: 'md',
+                        });
+                    } catch (e) {
+                        if (e.name === 'AbortError') throw e;
+                        logger.error(getPrefix(), `Failed to fetch captions for lecture ${lecture.id}:`, e);
+                        exportedLecture.note = 'Failed to fetch captions.';
+                    }
+                    await delay(network.requestDelayMs, signal);
+                } else {
+                    exportedLecture.note = 'No captions available.';
+                }
+                done++;
+                onProgress(done, total);
+            }
+        }
+        return course;
+    }
+
+    /**
+     * Handles the "Export Section" and "Export Course" actions. Clicking the
+     * button again while an export is running cancels it.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     * @param {'course' | 'section'} scope - Whether to export the whole course or the current section.
+     */
+    async function handleExportClick(button, scope) {
+        const idleLabel = button.textContent;
+        if (activeExport) {
+            if (activeExport.button === button) {
+                logger.log(getPrefix(), 'Cancelling bulk export.');
+                activeExport.controller.abort();
+            }
+            return;
+        }
+
+        const courseData = getCourseData();
+        const courseId = getCourseId(courseData);
+        if (!courseId) {
+            logger.error(getPrefix(), 'Could not determine the course id.');
+            button.textContent = 'Error: Course not found';
+            setTimeout(() => { button.textContent = idleLabel; }, 3000);
+            return;
+        }
+
+        // The UI may be re-injected during a long export, so always label the current button
+        const exportState = { controller: new AbortController(), button, scope };
+        const { controller } = exportState;
+        activeExport = exportState;
+        button.textContent = 'Loading curriculum...';
+        const { courseTitle } = getLectureContext();
+        const archive = [];
+
+        try {
+            let sections = groupCurriculum(await fetchCurriculum(courseId, controller.signal));
+            if (scope === 'section') {
+                const lectureId = getCurrentLectureId();
+                sections = sections.filter(section => section.lectures.some(lecture => lecture.id === lectureId));
+                if (sections.length === 0) {
+                    throw new Error(`Current lecture ${lectureId} not found in curriculum.`);
+                }
+            }
+
+            const { captionLanguage } = getLanguageSettings(courseId);
+            const exported = await buildBulkTranscript(courseTitle, sections, captionLanguage, controller.signal,
+                (done, total) => updateExportProgress(exportState.button, done, total), archive);
+
+            const format = userSettings.outputFormat;
+            const copied = await copyToClipboard(OUTPUT_FORMATTERS[format].renderCourse(exported), { markdown: isMarkdownFormat(format) });
+            exportState.button.textContent = copied ? 'Copied!' : 'Copy Failed!';
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                logger.log(getPrefix(), 'Bulk export cancelled.');
+                exportState.button.textContent = 'Cancelled';
+            } else {
+                logger.error(getPrefix(), 'Bulk export failed:', e);
+                exportState.button.textContent = 'Export Failed!';
+            }
+        } finally {
+            activeExport = null;
+            // Keep whatever was fetched, even if the export was cancelled part-way
+            try {
+                await archiveLectures(courseId, courseTitle, archive);
+            } catch (e) {
+                logger.error(getPrefix(), 'Failed to save exported lectures to the library:', e);
+            }
+        }
+
+        setTimeout(() => {
+            exportState.button.textContent = idleLabel;
+        }, 2000);
+    }
+
+    // --- 10. Curriculum Outline ---
+    // Display names for curriculum item types, keyed by lecture asset_type or quiz type
+    const LECTURE_TYPE_LABELS = {
+        Video: 'video',
+        VideoMashup: 'video',
+        Article: 'article',
+        'E-Book': 'ebook',
+        File: 'file',
+        Presentation: 'presentation',
+        Audio: 'audio',
+    };
+    const QUIZ_TYPE_LABELS = {
+        'simple-quiz': 'quiz',
+        'coding-exercise': 'coding exercise',
+        'coding-problem': 'coding exercise',
+        'practice-test': 'practice test',
+    };
+
+    // The progress API lists completed item ids per curriculum item class
+    const COMPLETION_ID_FIELDS = {
+        lecture: 'completed_lecture_ids',
+        quiz: 'completed_quiz_ids',
+        practice: 'completed_assignment_ids',
+    };
+
+    /**
+     * Describes the type of a curriculum item.
+     * @param {object} item - A lecture, quiz or practice item from the curriculum.
+     * @returns {string} The type, e.g. "video", "article", "quiz" or "coding exercise".
+     */
+    function getCurriculumItemType(item) {
+        if (item._class === 'lecture') {
+            const assetType = item.asset && item.asset.asset_type;
+            return LECTURE_TYPE_LABELS[assetType] || (assetType ? assetType.toLowerCase() : 'lecture');
+        }
+        if (item._class === 'quiz') return QUIZ_TYPE_LABELS[item.type] || 'quiz';
+        return 'assignment';
+    }
+
+    /**
+     * Reads the completion checkboxes of the curriculum items currently rendered in the sidebar.
+     * Collapsed sections are not rendered, so this is only a partial view. Items are keyed by
+     * position rather than title, since titles like "Introduction" or "Quiz" repeat across sections.
+     * @returns {Map<string, boolean>} Completion state keyed by "section-item", both zero-indexed; the
+     *     section is the sidebar's section panel, i.e. the chapter whose object_index is one higher.
+     */
+    function readSidebarCompletion() {
+        const completion = new Map();
+        const panelCounts = new Map();
+        for (const item of queryAllFields('curriculumItems')) {
+            const checkbox = queryField('curriculumItemProgress', item);
+            // Udemy numbers its items "curriculum-item-<section>-<item>"; otherwise count them per section panel
+            let key = null;
+            const purposeMatch = (item.dataset.purpose || '').match(/^curriculum-item-(\d+)-(\d+)$/);
+            if (purposeMatch) {
+                key = `${purposeMatch[1]}-${purposeMatch[2]}`;
+            } else {
+                const panel = queryField('sectionPanel', item);
+                const panelMatch = panel ? (panel.dataset.purpose || '').match(/section-panel-(\d+)/) : null;
+                if (panelMatch) {
+                    const position = panelCounts.get(panel) || 0;
+                    panelCounts.set(panel, position + 1);
+                    key = `${panelMatch[1]}-${position}`;
+                }
+            }
+            if (key && checkbox) completion.set(key, checkbox.checked);
+        }
+        return completion;
+    }
+
+    /**
+     * Fetches the ids of completed curriculum items.
+     * @param {number} courseId - The course id.
+     * @returns {Promise<object | null>} The progress record with completed_*_ids lists, or null if unavailable.
+     */
+    async function fetchCourseProgress(courseId) {
+        const fields = Object.values(COMPLETION_ID_FIELDS).join(',');
+        try {
+            return await fetchJson(apiUrl(`/users/me/subscribed-courses/${courseId}/progress/?fields[course]=${fields}`));
+        } catch (e) {
+            logger.warn(getPrefix(), 'Could not fetch course progress. Completion is only known for items shown in the sidebar.', e);
+            return null;
+        }
+    }
+
+    /**
+     * Formats a duration for the outline, rounded to whole minutes.
+     * @param {number} seconds - The duration in seconds.
+     * @returns {string} The duration, e.g. "7m" or "1h 05m".
+     */
+    function formatOutlineDuration(seconds) {
+        const minutes = Math.max(1, Math.round(seconds / 60));
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    /**
+     * Builds the course outline from the curriculum and the learner's progress.
+     * Completion comes from the progress API when it answered; the sidebar's checkboxes,
+     * matched by chapter and position, stand in only when it did not.
+     * @param {number} courseId - The course id.
+     * @param {string} courseTitle - The course title.
+     * @param {object[]} items - The curriculum items returned by fetchCurriculum.
+     * @param {object | null} progress - The progress record returned by fetchCourseProgress.
+     * @returns {object} The outline: course id and title, totals, and sections of items.
+     */
+    function buildOutline(courseId, courseTitle, items, progress) {
+        const sidebarCompletion = readSidebarCompletion();
+        const completedIds = {};
+        for (const [itemClass, field] of Object.entries(COMPLETION_ID_FIELDS)) {
+            completedIds[itemClass] = progress ? new Set(progress[field] || []) : null;
+        }
+
+        const sections = groupCurriculum(items, Object.keys(COMPLETION_ID_FIELDS)).map(section => {
+            // Sidebar panels count chapters from zero. Items ahead of the first chapter are grouped
+            // under index 0 and have no panel, so they never borrow the first chapter's checkboxes
+            const panelIndex = section.index - 1;
+            const sectionItems = section.lectures.map((item, itemPosition) => {
+                // The progress record covers every item; the sidebar only fills in when it is unavailable
+                const idSet = completedIds[item._class];
+                const sidebarState = sidebarCompletion.get(`${panelIndex}-${itemPosition}`);
+                let completed = null;
+                if (idSet) {
+                    completed = idSet.has(item.id);
+                } else if (sidebarState !== undefined) {
+                    completed = sidebarState;
+                }
+                return {
+                    id: item.id,
+                    type: getCurriculumItemType(item),
+                    number: item._class === 'lecture' ? item.object_index : null,
+                    title: item.title,
+                    duration: (item.asset && item.asset.time_estimation) || null,
+                    completed,
+                    resources: (item.supplementary_assets || []).length,
+                };
+            });
+            return {
+                index: section.index,
+                title: section.title,
+                duration: sectionItems.reduce((total, item) => total + (item.duration || 0), 0),
+                items: sectionItems,
+            };
+        });
+
+        const allItems = sections.flatMap(section => section.items);
+        return {
+            courseId,
+            courseTitle,
+            duration: sections.reduce((total, section) => total + section.duration, 0),
+            itemCount: allItems.length,
+            completedCount: allItems.filter(item => item.completed).length,
+            sections,
+        };
+    }
+
+    /**
+     * Formats a course outline as a Markdown checklist, a nested list or JSON.
+     * @param {object} outline - The outline returned by buildOutline.
+     * @param {string} format - One of the OUTLINE_FORMATS keys.
+     * @returns {string} The formatted outline.
+     */
+    function formatOutline(outline, format) {
+        if (format === 'json') {
+            return JSON.stringify(outline, null, 2);
+        }
+
+        const describeItem = item => {
+            const details = [item.type];
+            if (item.duration) details.push(formatOutlineDuration(item.duration));
+            if (item.resources > 0) details.push(`${item.resources} resource${item.resources === 1 ? '' : 's'}`);
+            const title = item.number ? `${item.number}. ${item.title}` : item.title;
+            return `${title} (${details.join(', ')})`;
+        };
+        const sectionHeading = section => {
+            const duration = section.duration ? ` (${formatOutlineDuration(section.duration)})` : '';
+            return `Section ${section.index}: ${section.title}${duration}`;
+        };
+        const summary = `${outline.completedCount} of ${outline.itemCount} items completed` +
+            (outline.duration ? `, ${formatOutlineDuration(outline.duration)} total` : '');
+
+        if (format === 'nested') {
+            const lines = [`- ${outline.courseTitle || 'Course'} (${summary})`];
+            for (const section of outline.sections) {
+                lines.push(`  - ${sectionHeading(section)}`);
+                for (const item of section.items) {
+                    lines.push(`    - ${describeItem(item)}${item.completed ? ' ✓' : ''}`);
+                }
+            }
+            return lines.join('\n');
+        }
+
+        const lines = [];
+        if (outline.courseTitle) lines.push(`# ${outline.courseTitle}\n`);
+        lines.push(`_${summary}_\n`);
+        for (const section of outline.sections) {
+            lines.push(`## ${sectionHeading(section)}\n`);
+            lines.push(section.items.map(item => `- [${item.completed ? 'x' : ' '}] ${describeItem(item)}`).join('\n') + '\n');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Handles the "Copy Outline" action: copies the course's section/lecture tree in the chosen outline format.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     */
+    async function handleCopyOutlineClick(button) {
+        const idleLabel = button.textContent;
+        const courseData = getCourseData();
+        const courseId = getCourseId(courseData);
+        if (!courseId) {
+            logger.error(getPrefix(), 'Could not determine the course id.');
+            button.textContent = 'Error: Course not found';
+            setTimeout(() => { button.textContent = idleLabel; }, 3000);
+            return;
+        }
+
+        try {
+            button.textContent = 'Loading curriculum...';
+            const [items, progress] = await Promise.all([fetchCurriculum(courseId), fetchCourseProgress(courseId)]);
+            const { courseTitle } = getLectureContext();
+            const outline = buildOutline(courseId, courseTitle, items, progress);
+            const copied = await copyToClipboard(formatOutline(outline, userSettings.outlineFormat),
+                { markdown: userSettings.outlineFormat !== 'json' });
+            button.textContent = copied ? 'Copied!' : 'Copy Failed!';
+        } catch (e) {
+            logger.error(getPrefix(), 'Failed to build the course outline:', e);
+            button.textContent = 'Outline Failed!';
+            setTimeout(() => { button.textContent = idleLabel; }, 3000);
+            return;
+        }
+
+        setTimeout(() => {
+            button.textContent = idleLabel;
+        }, 2000);
+    }
+
+    // --- 11. Send Target (Webhook) ---
+    // Transcripts can be POSTed as JSON to a user-configured endpoint, such as a local
+    // note-taking REST plugin or an internal service. Sends go through GM_xmlhttpRequest (see
+    // webhookTransport) so they are not subject to the page's CORS policy. A send that still fails after its retries
+    // is queued in storage and retried later, oldest first, so nothing is lost while the
+    // endpoint is down.
+    //
+    // Payload (Content-Type: application/json):
+    //   { event: "transcript", sentAt, courseId, lectureId, url, outputMode, outputFormat, extension,
+    //     context: { courseTitle, sectionTitle, sectionNumber, lectureTitle, lectureNumber },
+    //     metadata: { ...template fields except the transcript }, text }
+    // The test-connection button sends { event: "test", sentAt, url }. Any 2xx status counts as success.
+    const WEBHOOK_QUEUE_KEY = 'udemyTranscriptWebhookQueue';
+    const WEBHOOK_TIMEOUT_MS = 15000;
+    const WEBHOOK_MAX_ATTEMPTS = 3;
+    const WEBHOOK_RETRY_BASE_MS = 1000; // Doubled after every failed attempt
+    const WEBHOOK_QUEUE_RETRY_MS = 60000; // How often the queue is retried while sends are pending
+
+    let webhookRetryTimer = null;
+    let webhookFlushing = false;
+
+    // How sends reach the endpoint: request takes GM_xmlhttpRequest's details object, and retryBaseMs
+    // is the first pause between attempts. configureWebhookTransport replaces them, e.g. under Node.
+    const webhookTransport = {
+        request: details => GM_xmlhttpRequest(details),
+        retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+    };
+
+    /**
+     * Overrides how sends reach the endpoint.
+     * @param {{request?: function(object): void, retryBaseMs?: number}} overrides - The settings to replace.
+     */
+    function configureWebhookTransport(overrides) {
+        Object.assign(webhookTransport, overrides);
+    }
+
+    /**
+     * Parses the "Name: value" header lines entered in the settings panel.
+     * @param {string} text - One header per line; blank lines and lines starting with # are ignored.
+     * @returns {object} The headers, keyed by name.
+     */
+    function parseWebhookHeaders(text) {
+        const headers = {};
+        for (const line of (text || '').split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+            const separator = trimmed.indexOf(':');
+            if (separator <= 0) {
+                logger.warn(getPrefix(), `Ignoring malformed webhook header line "${trimmed}".`);
+                continue;
+            }
+            headers[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+        }
+        return headers;
+    }
+
+    /**
+     * POSTs a JSON payload to the configured endpoint once.
+     * @param {object} settings - The settings holding webhookUrl, webhookToken and webhookHeaders.
+     * @param {object} payload - The JSON payload.
+     * @returns {Promise<number>} The response status; rejects on network errors, timeouts and non-2xx statuses.
+     */
+    function postWebhook(settings, payload) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...parseWebhookHeaders(settings.webhookHeaders),
+        };
+        if (settings.webhookToken) {
+            headers.Authorization = `Bearer ${settings.webhookToken}`;
+        }
+        return new Promise((resolve, reject) => {
+            webhookTransport.request({
+                method: 'POST',
+                url: settings.webhookUrl,
+                headers,
+                data: JSON.stringify(payload),
+                timeout: WEBHOOK_TIMEOUT_MS,
+                onload: response => {
+                    if (response.status >= 200 && response.status < 300) {
+                        resolve(response.status);
+                    } else {
+                        reject(new Error(`Endpoint responded with status ${response.status}.`));
+                    }
+                },
+                onerror: () => reject(new Error('Could not reach the endpoint.')),
+                ontimeout: () => reject(new Error(`No response within ${WEBHOOK_TIMEOUT_MS / 1000}s.`)),
+            });
+        });
+    }
+
+    /**
+     * POSTs a payload, retrying with exponential backoff.
+     * @param {object} settings - The settings holding the endpoint configuration.
+     * @param {object} payload - The JSON payload.
+     * @returns {Promise<void>} Rejects with the last error once every attempt has failed.
+     */
+    async function sendWithRetry(settings, payload) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+            try {
+                await postWebhook(settings, payload);
+                return;
+            } catch (e) {
+                lastError = e;
+                logger.warn(getPrefix(), `Webhook attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} failed: ${e.message}`);
+                if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+                    await delay(webhookTransport.retryBaseMs * 2 ** (attempt - 1));
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * POSTs a payload with retries, queueing it for later if every attempt fails.
+     * @param {object} settings - The settings holding the endpoint configuration.
+     * @param {object} payload - The JSON payload.
+     * @returns {Promise<boolean>} True if it was delivered, false if it was queued.
+     */
+    async function sendOrQueueWebhook(settings, payload) {
+        try {
+            await sendWithRetry(settings, payload);
+        } catch (e) {
+            logger.error(getPrefix(), 'Send failed; queued for retry:', e);
+            const queue = await loadWebhookQueue();
+            queue.push({ payload, queuedAt: new Date().toISOString(), lastError: e.message });
+            await saveWebhookQueue(queue);
+            return false;
+        }
+        // The endpoint is reachable again, so deliver anything that queued up meanwhile
+        flushWebhookQueueInBackground(settings);
+        return true;
+    }
+
+    /**
+     * Loads the queue of sends that failed while the endpoint was down.
+     * @returns {Promise<{payload: object, queuedAt: string, lastError: string}[]>} The queued sends, oldest first.
+     */
+    async function loadWebhookQueue() {
+        try {
+            const queue = JSON.parse(await GM_getValue(WEBHOOK_QUEUE_KEY, '[]'));
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            logger.error(getPrefix(), 'Error parsing the webhook queue. Starting empty.', e);
+            return [];
+        }
+    }
+
+    /**
+     * Persists the webhook queue and schedules a retry while it is not empty.
+     * @param {object[]} queue - The queued sends, oldest first.
+     */
+    async function saveWebhookQueue(queue) {
+        await GM_setValue(WEBHOOK_QUEUE_KEY, JSON.stringify(queue));
+        clearTimeout(webhookRetryTimer);
+        webhookRetryTimer = queue.length > 0 ? setTimeout(() => flushWebhookQueueInBackground(), WEBHOOK_QUEUE_RETRY_MS) : null;
+        updateWebhookStatus(queue.length > 0 ? `${queue.length} send(s) pending.` : null);
+    }
+
+    /**
+     * Retries queued sends in order, stopping at the first failure so the endpoint receives them in order.
+     * @param {object} [settings] - The settings holding the endpoint configuration; the saved settings by default.
+     * @returns {Promise<number>} The number of sends still pending.
+     */
+    async function flushWebhookQueue(settings = userSettings) {
+        if (webhookFlushing || !settings.webhookUrl) return (await loadWebhookQueue()).length;
+        webhookFlushing = true;
+        try {
+            const queue = await loadWebhookQueue();
+            while (queue.length > 0) {
+                try {
+                    await postWebhook(settings, queue[0].payload);
+                    queue.shift();
+                } catch (e) {
+                    queue[0].lastError = e.message;
+                    logger.warn(getPrefix(), `Webhook queue retry failed; ${queue.length} send(s) still pending.`, e);
+                    break;
+                }
+            }
+            await saveWebhookQueue(queue);
+            return queue.length;
+        } finally {
+            webhookFlushing = false;
+        }
+    }
+
+    /**
+     * Starts a queue flush without waiting for it, logging a failure instead of leaving the
+     * rejection unhandled.
+     * @param {object} [settings] - The settings holding the endpoint configuration; the saved settings by default.
+     */
+    function flushWebhookQueueInBackground(settings) {
+        flushWebhookQueue(settings).catch(e => {
+            logger.error(getPrefix(), 'Failed to flush the webhook queue:', e);
+        });
+    }
+
+    /**
+     * Shows a status line under the send target settings, if the settings panel exists.
+     * @param {string | null} message - The message, or null to show the default hint.
+     */
+    function updateWebhookStatus(message) {
+        if (typeof document !== 'object') return; // No settings panel under Node
+        const status = document.getElementById('utc-webhook-status');
+        if (status) {
+            status.textContent = message || 'Transcripts are sent as JSON; failed sends are queued and retried.';
+        }
+    }
+
+    /**
+     * Shows or hides the Send button depending on whether an endpoint is configured.
+     */
+    function updateSendButtonVisibility() {
+        const sendButton = document.getElementById('utc-send-transcript-btn');
+        if (sendButton) {
+            sendButton.style.display = userSettings.webhookUrl ? '' : 'none';
+        }
+    }
+
+    /**
+     * Sends a test payload using the endpoint settings currently entered in the panel, saved or not.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    async function testWebhookConnection(panel) {
+        const settings = readSettingsFromPanel(panel);
+        if (!settings.webhookUrl) {
+            updateWebhookStatus('Enter an endpoint URL first.');
+            return;
+        }
+        updateWebhookStatus('Testing...');
+        try {
+            const status = await postWebhook(settings, { event: 'test', sentAt: new Date().toISOString(), url: window.location.href });
+            updateWebhookStatus(`Connected (HTTP ${status}).`);
+        } catch (e) {
+            logger.warn(getPrefix(), 'Webhook connection test failed:', e);
+            updateWebhookStatus(`Connection failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Handles the "Send" action: POSTs the assembled transcript and its metadata to the endpoint,
+     * queueing it for later if the endpoint cannot be reached.
+     * @param {HTMLButtonElement} button - The button that was clicked.
+     */
+    async function handleSendClick(button) {
+        logger.log(getPrefix(), 'Send button clicked.');
+        if (!userSettings.webhookUrl) {
+            button.textContent = 'No Endpoint Set';
+            setTimeout(() => { button.textContent = 'Send'; }, 3000);
+            return;
+        }
+        const parts = await assembleTranscriptParts(button, 'Send');
+        if (parts === null) return;
+        const transcriptText = renderTranscriptParts(parts);
+
+        const payload = {
+            event: 'transcript',
+            sentAt: new Date().toISOString(),
+            courseId: getCourseId(getCourseData()),
+            lectureId: getCurrentLectureId(),
+            url: window.location.href,
+            outputMode: userSettings.outputMode,
+            outputFormat: parts.format,
+            extension: getOutputExtension(userSettings),
+            context: getLectureContext(),
+            // The fields the text was rendered with, including notes, resources, Q&A and any range
+            metadata: parts.metadata,
+            text: transcriptText,
+        };
+
+        button.textContent = 'Sending...';
+        const sent = await sendOrQueueWebhook(userSettings, payload);
+        button.textContent = sent ? 'Sent!' : 'Queued for Retry';
+        await archiveCurrentLecture(transcriptText, parts.format);
+
+        setTimeout(() => {
+            button.textContent = 'Send';
+        }, 2000);
+    }
+
+    // --- 12. Transcript Library ---
+    // The library keeps a small index under LIBRARY_KEY and each course's lectures under their own key,
+    // so saving one lecture rewrites only its course and the list view never parses a transcript
+    const LIBRARY_KEY = 'udemyTranscriptLibrary';
+    const LIBRARY_COURSE_KEY_PREFIX = 'udemyTranscriptLibrary.course.';
+    const LIBRARY_SEARCH_DELAY_MS = 250; // Waits for a pause in typing before searching every course
+    const SNIPPET_CONTEXT_CHARS = 60;
+
+    // Parsed courses by course id, kept while the index says they have not changed since
+    const libraryCourseCache = new Map();
+    let librarySearchTimer = null;
+
+    /**
+     * Builds the index entry describing a stored course.
+     * @param {{title: string, lectures: object}} course - The course.
+     * @param {string} serialized - The course as stored.
+     * @returns {{title: string, lectureCount: number, bytes: number, updatedAt: string}} The index entry.
+     */
+    function describeLibraryCourse(course, serialized) {
+        return {
+            title: course.title,
+            lectureCount: Object.keys(course.lectures).length,
+            bytes: new TextEncoder().encode(serialized).length,
+            updatedAt: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Writes a course to its own key, or deletes the key once the course has no lectures, and updates the index.
+     * @param {{courses: object}} index - The library index; updated in place and saved.
+     * @param {string} courseId - The course id.
+     * @param {{title: string, lectures: object}} course - The course.
+     */
+    async function saveLibraryCourse(index, courseId, course) {
+        const key = LIBRARY_COURSE_KEY_PREFIX + courseId;
+        if (Object.keys(course.lectures).length === 0) {
+            await GM_deleteValue(key);
+            delete index.courses[courseId];
+            libraryCourseCache.delete(courseId);
+        } else {
+            const serialized = JSON.stringify(course);
+            await GM_setValue(key, serialized);
+            index.courses[courseId] = describeLibraryCourse(course, serialized);
+            libraryCourseCache.set(courseId, { updatedAt: index.courses[courseId].updatedAt, course });
+        }
+        await GM_setValue(LIBRARY_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * Loads the library index from Tampermonkey storage.
+     * @returns {Promise<{courses: object}>} The index: title, lecture count, size and update time by course id.
+     */
+    async function loadLibraryIndex() {
+        const storedIndex = await GM_getValue(LIBRARY_KEY, JSON.stringify({ courses: {} }));
+        try {
+            const parsed = JSON.parse(storedIndex);
+            return { courses: parsed.courses || {} };
+        } catch (e) {
+            logger.error(getPrefix(), 'Error parsing stored library. Starting empty.', e);
+            return { courses: {} };
+        }
+    }
+
+    /**
+     * Loads one course of the library, parsing it only if it changed since it was last loaded.
+     * @param {{courses: object}} index - The library index.
+     * @param {string} courseId - The course id.
+     * @returns {Promise<{title: string, lectures: object} | null>} The course, or null if it is not in the library.
+     */
+    async function loadLibraryCourse(index, courseId) {
+        const indexEntry = index.courses[courseId];
+        if (!indexEntry) return null;
+        const cached = libraryCourseCache.get(courseId);
+        if (cached && cached.updatedAt === indexEntry.updatedAt) return cached.course;
+
+        const storedCourse = await GM_getValue(LIBRARY_COURSE_KEY_PREFIX + courseId, null);
+        let course = { title: indexEntry.title, lectures: {} };
+        try {
+            if (storedCourse !== null) course = JSON.parse(storedCourse);
+        } catch (e) {
+            logger.error(getPrefix(), `Error parsing stored library course ${courseId}. Treating it as empty.`, e);
+        }
+        libraryCourseCache.set(courseId, { updatedAt: indexEntry.updatedAt, course });
+        return course;
+    }
+
+    /**
+     * Loads every course of the library, for searching.
+     * @param {{courses: object}} index - The library index.
+     * @returns {Promise<{courses: object}>} The library, keyed by course id then lecture id.
+     */
+    async function loadLibrary(index) {
+        const courses = {};
+        for (const courseId of Object.keys(index.courses)) {
+            courses[courseId] = await loadLibraryCourse(index, courseId);
+        }
+        return { courses };
+    }
+
+    /**
+     * Adds or replaces lectures in the library.
+     * @param {number} courseId - The course id.
+     * @param {string} courseTitle - The course title.
+     * @param {{lectureId: number, context: object, metadata: object, text: string, extension: string}[]} entries - The lectures to store.
+     */
+    async function archiveLectures(courseId, courseTitle, entries) {
+        if (entries.length === 0) return;
+        const index = await loadLibraryIndex();
+        const storedCourse = await loadLibraryCourse(index, String(courseId));
+        // Copy the cached course so a failed save does not leave the cache ahead of storage
+        const course = storedCourse ? { ...storedCourse, lectures: { ...storedCourse.lectures } } : { title: courseTitle, lectures: {} };
+        if (courseTitle) course.title = courseTitle;
+
+        const savedAt = new Date().toISOString();
+        for (const entry of entries) {
+            course.lectures[entry.lectureId] = { ...entry, savedAt };
+        }
+        await saveLibraryCourse(index, String(courseId), course);
+        logger.log(getPrefix(), `Saved ${entries.length} lecture(s) to the library.`);
+    }
+
+    /**
+     * Stores the transcript of the current lecture in the library. Failures are logged
+     * rather than thrown, so archiving never gets in the way of copying or downloading.
+     * @param {string} text - The assembled transcript text.
+     * @param {string | null} format - The OUTPUT_FORMATTERS key the text was rendered with, or null for subtitle files.
+     */
+    async function archiveCurrentLecture(text, format) {
+        try {
+            const courseData = getCourseData();
+            const courseId = getCourseId(courseData);
+            const lectureId = getCurrentLectureId();
+            if (!courseId || !lectureId) {
+                logger.warn(getPrefix(), 'Not saving to the library: course or lecture id unknown.');
+                return;
+            }
+            const context = getLectureContext();
+            await archiveLectures(courseId, context.courseTitle, [{
+                lectureId,
+                context,
+                metadata: collectMetadata(courseData),
+                text,
+                format,
+                extension: getOutputExtension(userSettings),
+            }]);
+        } catch (e) {
+            logger.error(getPrefix(), 'Failed to save lecture to the library:', e);
+        }
+    }
+
+    /**
+     * Deletes a lecture, or a whole course when no lecture id is given, from the library.
+     * @param {string} courseId - The course id.
+     * @param {string} [lectureId] - The lecture id.
+     */
+    async function deleteFromLibrary(courseId, lectureId) {
+        const index = await loadLibraryIndex();
+        const storedCourse = await loadLibraryCourse(index, courseId);
+        if (!storedCourse) return;
+
+        const lectures = lectureId === undefined ? {} : { ...storedCourse.lectures };
+        if (lectureId !== undefined) delete lectures[lectureId];
+        await saveLibraryCourse(index, courseId, { ...storedCourse, lectures });
+    }
+
+    /**
+     * Formats a byte count for display.
+     * @param {number} bytes - The byte count.
+     * @returns {string} The formatted size, e.g. "1.2 MB".
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Sorts a course's lectures in curriculum order.
+     * @param {object} course - The library course.
+     * @returns {object[]} The lecture entries.
+     */
+    function getSortedLectures(course) {
+        return Object.values(course.lectures).sort((a, b) =>
+            (a.context.sectionNumber || 0) - (b.context.sectionNumber || 0) ||
+            (a.context.lectureNumber || 0) - (b.context.lectureNumber || 0));
+    }
 
     /**
-     * Finds and parses the course data JSON blob from the page's HTML.
-     * @returns {object | null} The parsed course data or null if not found.
+     * Finds library lectures whose title or transcript contains every search term.
+     * @param {{courses: object}} library - The library.
+     * @param {string[]} terms - The lowercase search terms.
+     * @returns {{courseId: string, course: object, entry: object}[]} The matching lectures.
      */
-    function getCourseData() {
-        console.log(getPrefix(), 'Attempting to find course data JSON blob...');
-        const dataEl = document.querySelector('.ud-app-loader[data-module-args]');
-        if (!dataEl || !dataEl.dataset.moduleArgs) {
-            console.error(getPrefix(), 'Could not find the data-module-args element.');
-            return null;
+    function searchLibrary(library, terms) {
+        const hits = [];
+        for (const [courseId, course] of Object.entries(library.courses)) {
+            for (const entry of getSortedLectures(course)) {
+                const haystack = `${entry.context.lectureTitle}\n${entry.text}`.toLowerCase();
+                if (terms.every(term => haystack.includes(term))) {
+                    hits.push({ courseId, course, entry });
+                }
+            }
         }
+        return hits;
+    }
 
-        try {
-            const data = JSON.parse(dataEl.dataset.moduleArgs);
-            console.log(getPrefix(), 'Successfully parsed course data.');
-            return data;
-        } catch (e) {
-            console.error(getPrefix(), 'Failed to parse course data JSON:', e);
-            return null;
+    /**
+     * Cuts a short excerpt of text around the first occurrence of any search term.
+     * @param {string} text - The full text.
+     * @param {string[]} terms - The lowercase search terms.
+     * @returns {string} The excerpt.
+     */
+    function buildSnippet(text, terms) {
+        const lowerText = text.toLowerCase();
+        const positions = terms.map(term => lowerText.indexOf(term)).filter(index => index !== -1);
+        if (positions.length === 0) return '';
+
+        const matchIndex = Math.min(...positions);
+        const start = Math.max(0, matchIndex - SNIPPET_CONTEXT_CHARS);
+        const end = Math.min(text.length, matchIndex + SNIPPET_CONTEXT_CHARS);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Appends text to an element, wrapping occurrences of the search terms in <mark> elements.
+     * @param {HTMLElement} parent - The element to append to.
+     * @param {string} text - The text to append.
+     * @param {string[]} terms - The lowercase search terms.
+     */
+    function appendHighlighted(parent, text, terms) {
+        if (terms.length === 0) {
+            parent.appendChild(document.createTextNode(text));
+            return;
         }
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        text.split(pattern).forEach((part, i) => {
+            // split() with a capture group puts the matches at odd indices
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                parent.appendChild(mark);
+            } else if (part) {
+                parent.appendChild(document.createTextNode(part));
+            }
+        });
     }
 
     /**
-     * Handles the copy to clipboard action and provides user feedback.
-     * @param {HTMLButtonElement} button - The button that was clicked.
+     * Creates a library row for one lecture, with copy, download and delete actions.
+     * @param {HTMLElement} panel - The library panel, re-rendered after deletion.
+     * @param {string} courseId - The course id.
+     * @param {object} entry - The library lecture entry.
+     * @param {string[]} terms - The lowercase search terms to highlight.
+     * @param {string} [courseTitle] - Shown above the lecture title in search results.
+     * @returns {HTMLElement} The row element.
      */
-    async function handleCopyClick(button) {
-        console.log(getPrefix(), 'Copy button clicked.');
-        let headerLines = [];
+    function createLibraryRow(panel, courseId, entry, terms, courseTitle) {
+        const row = document.createElement('div');
+        row.className = 'ud-text-sm';
+        row.style.padding = '6px 0';
+        row.style.borderBottom = '1px solid #d1d7dc';
 
-        // 1. Get Data from JSON Blob
-        const courseData = getCourseData();
-        if (courseData) {
-            try {
-                // Course Title (from DOM, as it's not in the JSON)
-                if (userSettings.includeCourseTitle) {
-                    const courseTitleEl = document.querySelector('span.curriculum-item-view--course-title--s5jCa');
-                    if (courseTitleEl) {
-                        headerLines.push(`# ${courseTitleEl.textContent.trim()}`);
-                    }
-                }
+        if (courseTitle) {
+            const courseEl = document.createElement('div');
+            courseEl.className = 'ud-text-xs';
+            courseEl.textContent = courseTitle;
+            row.appendChild(courseEl);
+        }
 
-                // Course Subtitle (from DOM)
-                if (userSettings.includeCourseSubtitle) {
-                    const courseSubtitleEl = document.querySelector('div[data-purpose="title"]');
-                    if (courseSubtitleEl) {
-                        headerLines.push(`## *${courseSubtitleEl.textContent.trim()}*`);
-                    }
-                }
-                
-                if (headerLines.length > 0) headerLines.push('---');
-
-                // 2. Get Current Section and Lecture Info (from DOM)
-                if (userSettings.includeSectionLecture) {
-                    const lectureTitleEl = document.querySelector('li[aria-current="true"] span[data-purpose="item-title"]');
-                    const currentLectureItem = document.querySelector('li[aria-current="true"]');
-                    const sectionPanel = currentLectureItem ? currentLectureItem.closest('div[data-purpose*="section-panel-"]') : null;
-                    const sectionTitleEl = sectionPanel ? sectionPanel.querySelector('span.ud-accordion-panel-title > span') : null;
-
-                    const lectureTitle = lectureTitleEl ? lectureTitleEl.textContent.trim() : 'Unknown Lecture';
-                    const sectionTitle = sectionTitleEl ? sectionTitleEl.textContent.trim() : 'Unknown Section';
-                    headerLines.push(`**Section:** ${sectionTitle}`);
-                    headerLines.push(`**Lecture:** ${lectureTitle}`);
-                    headerLines.push('---');
-                }
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        appendHighlighted(title, entry.context.lectureTitle, terms);
+        row.appendChild(title);
 
-                // 3. Get Metadata from JSON
-                let detailsLines = [];
-                
-                // Instructors
-                if (userSettings.includeInstructors && courseData.instructorInfo && courseData.instructorInfo.instructors_info) {
-                    const instructors = courseData.instructorInfo.instructors_info
-                        .map(inst => `${inst.title} (${inst.job_title})`)
-                        .join(', ');
-                    detailsLines.push(`* **Instructors:** ${instructors}`);
-                }
+        if (terms.length > 0) {
+            const snippet = document.createElement('div');
+            snippet.className = 'ud-text-xs';
+            appendHighlighted(snippet, buildSnippet(entry.text, terms), terms);
+            row.appendChild(snippet);
+        }
 
-                // Course Stats from courseLeadData
-                if (courseData.courseLeadData) {
-                    const leadData = courseData.courseLeadData;
-                    if (userSettings.includeRating) {
-                        const rating = leadData.rating ? leadData.rating.toFixed(2) : 'N/A';
-                        const reviews = leadData.num_reviews ? leadData.num_reviews.toLocaleString() : 'N/A';
-                        detailsLines.push(`* **Rating:** ${rating} (${reviews} reviews)`);
-                    }
-                    if (userSettings.includeLength && leadData.content_info_short) {
-                        detailsLines.push(`* **Total Length:** ${leadData.content_info_short}`);
-                    }
-                    if (userSettings.includeLastUpdated && leadData.last_update_date) {
-                        detailsLines.push(`* **Last Updated:** ${leadData.last_update_date}`);
-                    }
-                    if (userSettings.includeCaptions && leadData.captionedLanguages && leadData.captionedLanguages.length > 0) {
-                        detailsLines.push(`* **Captions:** ${leadData.captionedLanguages.join(', ')}`);
-                    }
-                }
-                
-                // Language (from DOM)
-                if (userSettings.includeLanguage) {
-                    const langEl = document.querySelector('div[data-purpose="language"] .course-lead--caption---JHbX');
-                    if (langEl) {
-                        const langText = Array.from(langEl.childNodes)
-                            .filter(node => node.nodeType === Node.TEXT_NODE)
-                            .map(node => node.textContent.trim())
-                            .join('');
-                        if (langText) {
-                            detailsLines.push(`* **Language:** ${langText}`);
-                        }
-                    }
-                }
+        const actions = document.createElement('div');
+        actions.style.display = 'flex';
+        actions.style.alignItems = 'center';
+        actions.style.gap = '4px';
 
-                if (detailsLines.length > 0) {
-                    headerLines.push('**Course Details:**');
-                    headerLines.push(...detailsLines);
-                    headerLines.push('---');
-                }
-                
-                headerLines.push('## Transcript\n'); // Add extra newline for spacing
+        const savedAt = document.createElement('span');
+        savedAt.className = 'ud-text-xs';
+        savedAt.style.flex = '1';
+        savedAt.textContent = `Saved ${new Date(entry.savedAt).toLocaleString()}`;
+        actions.appendChild(savedAt);
 
-            } catch (e) {
-                console.error(getPrefix(), 'Failed to build metadata header:', e);
-                headerLines = []; // Clear header on error to avoid partial data
+        const addAction = (label, handler) => {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'ud-btn ud-btn-xsmall ud-btn-ghost';
+            actionButton.textContent = label;
+            actionButton.addEventListener('click', () => handler(actionButton));
+            actions.appendChild(actionButton);
+        };
+
+        addAction('Copy', async actionButton => {
+            const copied = await copyToClipboard(entry.text, { markdown: isMarkdownFormat(entry.format) });
+            actionButton.textContent = copied ? 'Copied!' : 'Copy Failed!';
+            setTimeout(() => { actionButton.textContent = 'Copy'; }, 2000);
+        });
+        addAction('Download', () => {
+            downloadText(entry.text, buildFilename(userSettings.filenamePattern, entry.context, entry.extension));
+        });
+        addAction('Delete', async () => {
+            if (!window.confirm(`Delete "${entry.context.lectureTitle}" from the library?`)) return;
+            await deleteFromLibrary(courseId, String(entry.lectureId));
+            await renderLibrary(panel);
+        });
+
+        row.appendChild(actions);
+        return row;
+    }
+
+    /**
+     * Renders the library panel: the storage usage, then either the search results
+     * for the current query or every saved course, whose lectures load when it is opened.
+     * @param {HTMLElement} panel - The library panel.
+     */
+    async function renderLibrary(panel) {
+        const usageEl = panel.querySelector('#utc-library-usage');
+        const listEl = panel.querySelector('#utc-library-list');
+        const query = panel.querySelector('#utc-library-search').value;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const index = await loadLibraryIndex();
+        const courses = Object.entries(index.courses);
+        const lectureCount = courses.reduce((count, [, course]) => count + course.lectureCount, 0);
+        const bytes = courses.reduce((total, [, course]) => total + course.bytes, 0);
+        usageEl.textContent = `${lectureCount} lecture(s) in ${courses.length} course(s), using ${formatBytes(bytes)}`;
+
+        if (terms.length > 0) {
+            const hits = searchLibrary(await loadLibrary(index), terms);
+            listEl.innerHTML = '';
+            if (hits.length === 0) listEl.textContent = 'No matches.';
+            for (const hit of hits) {
+                listEl.appendChild(createLibraryRow(panel, hit.courseId, hit.entry, terms, hit.course.title));
             }
-        } else {
-            console.warn(getPrefix(), 'Could not parse course data. Falling back to simple Section/Lecture titles.');
-            // Fallback to old method if JSON fails
-            if (userSettings.includeSectionLecture) {
-                const lectureTitleEl = document.querySelector('li[aria-current="true"] span[data-purpose="item-title"]');
-                const currentLectureItem = document.querySelector('li[aria-current="true"]');
-                const sectionPanel = currentLectureItem ? currentLectureItem.closest('div[data-purpose*="section-panel-"]') : null;
-                const sectionTitleEl = sectionPanel ? sectionPanel.querySelector('span.ud-accordion-panel-title > span') : null;
-
-                const lectureTitle = lectureTitleEl ? lectureTitleEl.textContent.trim() : 'Unknown Lecture';
-                const sectionTitle = sectionTitleEl ? sectionTitleEl.textContent.trim() : 'Unknown Section';
-                headerLines.push(`# ${sectionTitle}`);
-                headerLines.push(`## ${lectureTitle}\n`);
-            }
-        }
-
-        // 4. Get Transcript Text (from DOM)
-        const transcriptPanel = document.querySelector('div[data-purpose="transcript-panel"]');
-        if (!transcriptPanel) {
-            console.error(getPrefix(), 'Transcript panel not found.');
-            button.textContent = 'Error: Panel not found';
-            setTimeout(() => { button.textContent = 'Copy Transcript'; }, 3000);
             return;
         }
 
-        const textElements = transcriptPanel.querySelectorAll('span[data-purpose="cue-text"]');
-        if (textElements.length === 0) {
-            console.warn(getPrefix(), 'No transcript text found to copy.');
-            button.textContent = 'No text found';
-            setTimeout(() => { button.textContent = 'Copy Transcript'; }, 3000);
-            return;
+        listEl.innerHTML = '';
+        if (courses.length === 0) listEl.textContent = 'Copied and exported lectures will appear here.';
+        for (const [courseId, indexEntry] of courses.sort(([, a], [, b]) => a.title.localeCompare(b.title))) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.className = 'ud-text-sm';
+            summary.style.cursor = 'pointer';
+            summary.textContent = `${indexEntry.title || `Course ${courseId}`} (${indexEntry.lectureCount})`;
+            details.appendChild(summary);
+
+            const deleteCourseButton = document.createElement('button');
+            deleteCourseButton.className = 'ud-btn ud-btn-xsmall ud-btn-ghost';
+            deleteCourseButton.textContent = 'Delete Course';
+            deleteCourseButton.addEventListener('click', async () => {
+                if (!window.confirm(`Delete every saved lecture of "${indexEntry.title}"?`)) return;
+                await deleteFromLibrary(courseId);
+                await renderLibrary(panel);
+            });
+            details.appendChild(deleteCourseButton);
+
+            let lecturesShown = false;
+            details.addEventListener('toggle', async () => {
+                if (!details.open || lecturesShown) return;
+                lecturesShown = true;
+                const course = await loadLibraryCourse(index, courseId);
+                for (const entry of course ? getSortedLectures(course) : []) {
+                    details.appendChild(createLibraryRow(panel, courseId, entry, terms));
+                }
+            });
+            listEl.appendChild(details);
         }
-        console.log(getPrefix(), `Found ${textElements.length} transcript lines to copy.`);
+    }
 
-        // 5. Format the final text
-        const header = headerLines.join('\n');
-        const transcriptLines = Array.from(textElements)
-            .map(el => el.textContent.trim())
-            .join('\n'); // Join with a newline for proper formatting.
-        
-        const transcriptText = header + transcriptLines;
+    /**
+     * Re-renders the library panel once typing in its search box pauses.
+     * @param {HTMLElement} panel - The library panel.
+     */
+    function scheduleLibrarySearch(panel) {
+        clearTimeout(librarySearchTimer);
+        librarySearchTimer = setTimeout(() => {
+            librarySearchTimer = null;
+            renderLibrary(panel);
+        }, LIBRARY_SEARCH_DELAY_MS);
+    }
 
-        try {
-            await navigator.clipboard.writeText(transcriptText);
-            console.log(getPrefix(), 'Transcript copied to clipboard!');
-            button.textContent = 'Copied!';
-        } catch (err) {
-            console.error(getPrefix(), 'Failed to copy text: ', err);
-            button.textContent = 'Copy Failed!';
-            // Fallback for older browsers or if navigator.clipboard fails
-            try {
-                document.execCommand('copy');
-                console.log(getPrefix(), 'Transcript copied via execCommand.');
-                button.textContent = 'Copied!';
-            } catch (e) {
-                console.error(getPrefix(), 'execCommand fallback also failed: ', e);
-                button.textContent = 'Copy Failed!';
+    /**
+     * Creates the HTML for the library panel.
+     * @returns {HTMLElement} The library panel element.
+     */
+    function createLibraryPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'utc-library-panel';
+        panel.style.display = 'none'; // Hidden by default
+        panel.style.padding = '16px';
+        panel.style.border = '1px solid #d1d7dc';
+        panel.style.borderRadius = '4px';
+        panel.style.marginBottom = '10px';
+        panel.style.backgroundColor = '#f7f9fa';
+
+        panel.innerHTML = `
+            <h4 class="ud-heading-md" style="margin-bottom: 8px;">Transcript Library</h4>
+            <p id="utc-library-usage" class="ud-text-xs" style="margin-bottom: 8px;"></p>
+            <input type="search" id="utc-library-search" class="ud-text-sm" placeholder="Search saved transcripts" style="width: 100%; padding: 4px; margin-bottom: 8px;">
+            <div id="utc-library-list" style="max-height: 400px; overflow: auto;"></div>
+            <button id="utc-close-library" class="ud-btn ud-btn-small ud-btn-secondary" style="margin-top: 15px;">Close</button>
+        `;
+
+        panel.querySelector('#utc-library-search').addEventListener('input', () => scheduleLibrarySearch(panel));
+        panel.querySelector('#utc-close-library').addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        return panel;
+    }
+
+    /**
+     * Toggles the visibility of the library panel, refreshing it when shown.
+     */
+    function toggleLibraryPanel() {
+        const panel = document.getElementById('utc-library-panel');
+        if (panel) {
+            const isHidden = panel.style.display === 'none';
+            panel.style.display = isHidden ? 'block' : 'none';
+            if (isHidden) {
+                renderLibrary(panel);
             }
         }
+    }
 
-        setTimeout(() => {
-            button.textContent = 'Copy Transcript';
-        }, 2000);
+    // --- 13. Keyboard Shortcuts & Command Menu ---
+    const TOAST_LINGER_MS = 1500; // Shorter than the buttons' 2s label reset, so toasts never show the idle label
+
+    // Udemy's own player shortcuts, used to warn about conflicting bindings
+    const UDEMY_PLAYER_SHORTCUTS = {
+        'Space': 'Play / pause',
+        'ArrowLeft': 'Rewind 5s',
+        'ArrowRight': 'Forward 5s',
+        'Shift+ArrowLeft': 'Slower playback',
+        'Shift+ArrowRight': 'Faster playback',
+        'ArrowUp': 'Volume up',
+        'ArrowDown': 'Volume down',
+        'M': 'Mute',
+        'F': 'Fullscreen',
+        'Escape': 'Exit fullscreen',
+        'B': 'Add note',
+        'C': 'Captions',
+        'Shift+/': 'Keyboard shortcuts help',
+    };
+
+    // Every action offered by the command menu; those with a settingKey can be bound to a shortcut
+    const COMMAND_ACTIONS = [
+        { id: 'copy', label: 'Copy transcript', settingKey: 'shortcutCopy',
+            run: () => runButtonAction('custom-copy-transcript-btn', handleCopyClick) },
+        { id: 'download', label: 'Download transcript', settingKey: 'shortcutDownload',
+            run: () => runButtonAction('custom-download-transcript-btn', handleDownloadClick) },
+        { id: 'send', label: 'Send transcript to endpoint',
+            run: () => runButtonAction('utc-send-transcript-btn', handleSendClick) },
+        { id: 'export-section', label: 'Export this section',
+            run: () => runButtonAction('utc-export-section-btn', button => handleExportClick(button, 'section')) },
+        { id: 'export-course', label: 'Export whole course',
+            run: () => runButtonAction('utc-export-course-btn', button => handleExportClick(button, 'course')) },
+        { id: 'copy-outline', label: 'Copy course outline',
+            run: () => runButtonAction('utc-copy-outline-btn', handleCopyOutlineClick) },
+        { id: 'settings', label: 'Toggle settings', settingKey: 'shortcutSettings',
+            run: () => runPanelAction(toggleSettingsPanel) },
+        { id: 'library', label: 'Toggle transcript library',
+            run: () => runPanelAction(toggleLibraryPanel) },
+        { id: 'cycle-preset', label: 'Apply next preset', settingKey: 'shortcutCyclePreset',
+            run: cyclePreset },
+        { id: 'command-menu', label: 'Open command menu', settingKey: 'shortcutCommandMenu',
+            run: toggleCommandMenu },
+    ];
+
+    let lastAppliedPresetId = null;
+
+    /**
+     * Shows a short-lived message in the corner of the page.
+     * @param {string} message - The message to show.
+     * @returns {HTMLElement} The toast element.
+     */
+    function showToast(message) {
+        let stack = document.getElementById('utc-toast-stack');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'utc-toast-stack';
+            stack.style.cssText = 'position: fixed; right: 20px; bottom: 20px; z-index: 10000; display: flex; flex-direction: column; gap: 8px;';
+            document.body.appendChild(stack);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'ud-text-sm';
+        toast.style.cssText = 'padding: 10px 16px; border-radius: 4px; background-color: #2d2f31; color: #fff; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);';
+        toast.textContent = message;
+        stack.appendChild(toast);
+        return toast;
     }
 
     /**
-     * Injects the Copy and Settings buttons and the Settings Panel into the page.
-     * @param {HTMLElement} transcriptContent - The sidebar content element to prepend to.
+     * Runs a button handler on the injected button, or on a toast standing in for it when
+     * the transcript sidebar (and so the UI) is closed. Handlers only set textContent on
+     * their button, so the toast displays their progress and results.
+     * @param {string} buttonId - The id of the injected button.
+     * @param {function(HTMLElement): Promise<void>} handler - The button's click handler.
      */
-    function injectUI(transcriptContent) {
+    async function runButtonAction(buttonId, handler) {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            await handler(button);
+            return;
+        }
+
+        // Reuse a running export's toast so running the action again cancels it
+        const toast = (activeExport && activeExport.button.dataset.utcAction === buttonId)
+            ? activeExport.button
+            : showToast('Working...');
+        toast.dataset.utcAction = buttonId;
+        await handler(toast);
+        setTimeout(() => toast.remove(), TOAST_LINGER_MS);
+    }
+
+    /**
+     * Runs a panel toggle, opening Udemy's transcript sidebar first if the UI is not injected.
+     * @param {function(): void} toggle - The panel toggle function.
+     */
+    function runPanelAction(toggle) {
         if (document.getElementById('utc-ui-container')) {
-            console.log(getPrefix(), 'UI already injected.');
+            toggle();
             return;
         }
-        console.log(getPrefix(), 'Injecting UI...');
 
-        const uiContainer = document.createElement('div');
-        uiContainer.id = 'utc-ui-container';
-        uiContainer.style.padding = '10px 16px 0 16px';
-        
-        // 1. Create and add Settings Panel (hidden)
-        const settingsPanel = createSettingsPanel();
-        uiContainer.appendChild(settingsPanel);
+        const sidebarToggle = queryField('transcriptToggle');
+        if (!sidebarToggle) {
+            const toast = showToast('Open the transcript sidebar to use this action.');
+            setTimeout(() => toast.remove(), 3000);
+            return;
+        }
+        sidebarToggle.click();
+        // The lifecycle manager injects the UI once the sidebar mounts
+        const unsubscribe = onUIInjected(() => {
+            unsubscribe();
+            toggle();
+        });
+    }
 
-        // 2. Create button container
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.display = 'flex';
-        buttonContainer.style.gap = '10px';
-        buttonContainer.style.marginBottom = '10px';
+    /**
+     * Applies the preset after the last applied (or default) one, wrapping around.
+     */
+    async function cyclePreset() {
+        const presets = getPresets();
+        const currentId = lastAppliedPresetId || presetState.defaultPresetId;
+        const index = presets.findIndex(preset => preset.id === currentId);
+        const next = presets[(index + 1) % presets.length];
+        await applyPreset(next.id);
 
-        // 3. Create Copy Button
-        const copyButton = document.createElement('button');
-        copyButton.id = 'custom-copy-transcript-btn';
-        copyButton.textContent = 'Copy Transcript';
-        copyButton.className = 'ud-btn ud-btn-medium ud-btn-secondary';
-        copyButton.style.flexGrow = '1';
-        copyButton.addEventListener('click', () => handleCopyClick(copyButton));
-        buttonContainer.appendChild(copyButton);
+        const toast = showToast(`Preset: ${next.name}`);
+        setTimeout(() => toast.remove(), 2000);
+    }
 
-        // 4. Create Settings Button
-        const settingsButton = document.createElement('button');
-        settingsButton.id = 'custom-transcript-settings-btn';
-        settingsButton.innerHTML = `<svg aria-hidden="true" focusable="false" class="ud-icon ud-icon-medium"><use xlink:href="#icon-settings"></use></svg>`;
-        settingsButton.className = 'ud-btn ud-btn-medium ud-btn-ghost';
-        settingsButton.style.minWidth = 'auto'; // Shrink to fit icon
-        settingsButton.addEventListener('click', toggleSettingsPanel);
-        buttonContainer.appendChild(settingsButton);
+    /**
+     * Converts a keydown event to a shortcut string such as "Alt+Shift+C".
+     * Letters and digits use the physical key, so Alt combinations work on every layout.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {string | null} The shortcut, or null for a lone modifier key.
+     */
+    function getShortcutFromEvent(event) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
 
-        // Add button container to main UI container
-        uiContainer.appendChild(buttonContainer);
-        
-        // Add the UI container to the page
-        transcriptContent.prepend(uiContainer);
+        let key;
+        if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+        else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+        else if (event.code === 'Space') key = 'Space';
+        else if (event.code === 'Slash') key = '/';
+        else key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+
+        const parts = [];
+        if (event.ctrlKey) parts.push('Ctrl');
+        if (event.altKey) parts.push('Alt');
+        if (event.shiftKey) parts.push('Shift');
+        if (event.metaKey) parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    /**
+     * Finds shortcuts that clash with Udemy's player shortcuts or with each other.
+     * @param {object} settings - The settings holding the shortcut bindings.
+     * @returns {{warnings: string[], duplicates: string[]}} Player conflicts (allowed, but they
+     *     override the player) and duplicate bindings (not allowed).
+     */
+    function getShortcutConflicts(settings) {
+        const warnings = [];
+        const duplicates = [];
+        const seen = {};
+        for (const action of COMMAND_ACTIONS) {
+            const shortcut = action.settingKey && settings[action.settingKey];
+            if (!shortcut) continue;
+
+            if (UDEMY_PLAYER_SHORTCUTS[shortcut]) {
+                warnings.push(`${shortcut} (${action.label}) overrides Udemy's "${UDEMY_PLAYER_SHORTCUTS[shortcut]}" shortcut.`);
+            }
+            if (seen[shortcut]) {
+                duplicates.push(`${shortcut} is bound to both "${seen[shortcut]}" and "${action.label}".`);
+            }
+            seen[shortcut] = action.label;
+        }
+        return { warnings, duplicates };
+    }
+
+    /**
+     * Shows the shortcut conflicts for the (possibly unsaved) settings in the panel.
+     * @param {HTMLElement} panel - The settings panel.
+     */
+    function updateShortcutConflicts(panel) {
+        const conflictsEl = panel.querySelector('#utc-shortcut-conflicts');
+        if (!conflictsEl) return;
+        const { warnings, duplicates } = getShortcutConflicts(readSettingsFromPanel(panel));
+        conflictsEl.textContent = [...duplicates, ...warnings].join(' ');
+        conflictsEl.style.display = conflictsEl.textContent ? 'block' : 'none';
+    }
+
+    /**
+     * Builds the shortcut rebinding rows for the settings panel. Each field records
+     * the next key combination pressed while it is focused; Backspace clears it.
+     * @returns {string} The rows' HTML.
+     */
+    function createShortcutRowsHTML() {
+        return COMMAND_ACTIONS.filter(action => action.settingKey).map(action => `
+            <label class="ud-text-sm" style="display: flex; align-items: center; gap: 8px;">
+                <span style="flex: 1;">${action.label}</span>
+                <input type="text" name="${action.settingKey}" data-utc-shortcut readonly
+                    placeholder="Press keys" class="ud-text-sm" style="width: 140px; padding: 4px;">
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Records a key combination into a shortcut field of the settings panel.
+     * @param {KeyboardEvent} event - The keydown event on the shortcut field.
+     */
+    function handleShortcutFieldKeydown(event) {
+        const input = event.target;
+        if (!input.matches('input[data-utc-shortcut]') || event.key === 'Tab') return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (event.key === 'Backspace' || event.key === 'Delete') {
+            input.value = '';
+        } else {
+            const shortcut = getShortcutFromEvent(event);
+            if (!shortcut) return;
+            input.value = shortcut;
+        }
+        input.dispatchEvent(new Event('input', { bubbles: true }));
     }
 
-    // --- 4. DOM Observer ---
+    /**
+     * Runs the action bound to a pressed shortcut, anywhere on the course player.
+     * @param {KeyboardEvent} event - The keydown event.
+     */
+    function handleShortcutKeydown(event) {
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const shortcut = getShortcutFromEvent(event);
+        if (!shortcut) return;
+        const action = COMMAND_ACTIONS.find(a => a.settingKey && userSettings[a.settingKey] === shortcut);
+        if (!action) return;
+
+        // Captured before the player sees it, so a deliberately conflicting binding wins
+        event.preventDefault();
+        event.stopPropagation();
+        logger.log(getPrefix(), `Shortcut ${shortcut} -> ${action.id}`);
+        action.run();
+    }
 
     /**
-     * Watches for the transcript panel to be added to the DOM.
+     * Opens the command menu, or closes it if it is already open.
      */
-    function initObserver() {
-        console.log(getPrefix(), 'Initializing MutationObserver.');
-        const observer = new MutationObserver((mutations, obs) => {
-            // Use querySelector for a more direct and efficient check
-            const transcriptContent = document.querySelector('div[data-purpose="sidebar-content"].sidebar--transcript--D0uuI');
-            
-            if (transcriptContent) {
-                console.log(getPrefix(), 'Transcript panel detected!');
-                // Wait for settings to load before injecting UI
-                loadSettings().then(() => {
-                    injectUI(transcriptContent);
+    function toggleCommandMenu() {
+        const existing = document.getElementById('utc-command-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = 'utc-command-menu';
+        overlay.style.cssText = 'position: fixed; inset: 0; z-index: 10000; display: flex; align-items: flex-start; justify-content: center; padding-top: 15vh; background-color: rgba(0, 0, 0, 0.4);';
+        overlay.innerHTML = `
+            <div style="width: 420px; max-width: 90vw; padding: 12px; border-radius: 4px; background-color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);">
+                <input type="text" id="utc-command-filter" class="ud-text-md" placeholder="Type a command" style="width: 100%; padding: 6px; margin-bottom: 8px;">
+                <ul id="utc-command-list" style="list-style: none; margin: 0; padding: 0;"></ul>
+            </div>
+        `;
+
+        const filterInput = overlay.querySelector('#utc-command-filter');
+        const list = overlay.querySelector('#utc-command-list');
+        let visibleActions = [];
+        let selectedIndex = 0;
+
+        const close = () => overlay.remove();
+        const runSelected = () => {
+            const action = visibleActions[selectedIndex];
+            if (!action) return;
+            close();
+            action.run();
+        };
+        const render = () => {
+            const query = filterInput.value.trim().toLowerCase();
+            visibleActions = COMMAND_ACTIONS.filter(action => action.id !== 'command-menu' && action.label.toLowerCase().includes(query));
+            selectedIndex = Math.min(selectedIndex, Math.max(visibleActions.length - 1, 0));
+            list.innerHTML = '';
+            visibleActions.forEach((action, i) => {
+                const item = document.createElement('li');
+                item.className = 'ud-text-sm';
+                item.style.cssText = `display: flex; justify-content: space-between; padding: 6px 8px; cursor: pointer; border-radius: 4px; ${i === selectedIndex ? 'background-color: #e9e7fd;' : ''}`;
+                const label = document.createElement('span');
+                label.textContent = action.label;
+                const shortcut = document.createElement('kbd');
+                shortcut.textContent = (action.settingKey && userSettings[action.settingKey]) || '';
+                item.append(label, shortcut);
+                item.addEventListener('mouseenter', () => {
+                    selectedIndex = i;
+                    render();
                 });
-                obs.disconnect(); // Stop observing once found
-                console.log(getPrefix(), 'Observer disconnected.');
+                item.addEventListener('click', runSelected);
+                list.appendChild(item);
+            });
+        };
+
+        filterInput.addEventListener('input', () => {
+            selectedIndex = 0;
+            render();
+        });
+        overlay.addEventListener('keydown', event => {
+            event.stopPropagation(); // Keep the player from reacting to typing in the menu
+            if (event.key === 'Escape') {
+                close();
+            } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const count = Math.max(visibleActions.length, 1);
+                selectedIndex = (selectedIndex + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                render();
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                runSelected();
             }
         });
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) close();
+        });
+
+        document.body.appendChild(overlay);
+        render();
+        filterInput.focus();
+    }
+
+    // --- 14. Lifecycle Management ---
+    const LIFECYCLE_SYNC_DELAY_MS = 100; // Coalesces bursts of DOM mutations into one check
+
+    const lectureChangeListeners = new Set();
+    const uiInjectedListeners = new Set();
+    let uiCleanups = [];
+    let currentLectureId = null;
+    let syncTimer = null;
+
+    /**
+     * Registers a listener called whenever the player switches to another lecture.
+     * @param {function(number | null, number | null): void} listener - Called with (lectureId, previousLectureId).
+     * @returns {function(): void} A function that unregisters the listener.
+     */
+    function onLectureChange(listener) {
+        lectureChangeListeners.add(listener);
+        return () => lectureChangeListeners.delete(listener);
+    }
+
+    /**
+     * Registers a listener called each time the UI is injected into a transcript sidebar.
+     * @param {function(): void} listener - The listener.
+     * @returns {function(): void} A function that unregisters the listener.
+     */
+    function onUIInjected(listener) {
+        uiInjectedListeners.add(listener);
+        return () => uiInjectedListeners.delete(listener);
+    }
+
+    /**
+     * Registers a cleanup function to run when the injected UI is torn down.
+     * @param {function(): void} cleanup - The cleanup function.
+     */
+    function registerUICleanup(cleanup) {
+        uiCleanups.push(cleanup);
+    }
+
+    /**
+     * Removes the injected UI and runs the cleanups registered for it.
+     */
+    function teardownUI() {
+        for (const cleanup of uiCleanups) {
+            try {
+                cleanup();
+            } catch (e) {
+                logger.error(getPrefix(), 'UI cleanup failed:', e);
+            }
+        }
+        uiCleanups = [];
+
+        const container = document.getElementById('utc-ui-container');
+        if (container) container.remove();
+    }
+
+    /**
+     * Notifies listeners if the lecture in the URL differs from the last one seen.
+     */
+    function checkLectureChange() {
+        const lectureId = getCurrentLectureId();
+        if (lectureId === currentLectureId) return;
 
-        // Start observing the document body for added nodes
+        const previousLectureId = currentLectureId;
+        currentLectureId = lectureId;
+        logger.log(getPrefix(), `Lecture changed: ${previousLectureId} -> ${lectureId}`);
+        for (const listener of lectureChangeListeners) {
+            try {
+                listener(lectureId, previousLectureId);
+            } catch (e) {
+                logger.error(getPrefix(), 'Lecture change listener failed:', e);
+            }
+        }
+    }
+
+    /**
+     * Makes sure the UI is injected into the transcript sidebar that is currently mounted,
+     * moving it out of a sidebar that was closed or re-rendered.
+     */
+    function syncUI() {
+        const transcriptContent = queryField('transcriptSidebar');
+        const container = document.getElementById('utc-ui-container');
+
+        if (!transcriptContent) {
+            // The container may already be gone with the sidebar, but its cleanups still need to run
+            if (container || uiCleanups.length > 0) {
+                logger.log(getPrefix(), 'Transcript panel closed. Tearing down UI.');
+                teardownUI();
+            }
+            return;
+        }
+        if (container && transcriptContent.contains(container)) return;
+
+        logger.log(getPrefix(), 'Transcript panel detected!');
+        teardownUI();
+        injectUI(transcriptContent);
+        for (const listener of uiInjectedListeners) {
+            try {
+                listener();
+            } catch (e) {
+                logger.error(getPrefix(), 'UI injected listener failed:', e);
+            }
+        }
+    }
+
+    /**
+     * Runs the UI and lecture checks after the current burst of DOM or history changes settles.
+     */
+    function scheduleSync() {
+        if (syncTimer) return;
+        syncTimer = setTimeout(() => {
+            syncTimer = null;
+            checkLectureChange();
+            syncUI();
+        }, LIFECYCLE_SYNC_DELAY_MS);
+    }
+
+    /**
+     * Loads settings, then keeps the UI in sync with Udemy's SPA for the lifetime of the page:
+     * DOM mutations catch sidebar mounts and re-renders, history events catch lecture navigation,
+     * and keyboard shortcuts work whether or not the sidebar is open.
+     */
+    async function startLifecycle() {
+        await loadSettings();
+
+        logger.log(getPrefix(), 'Initializing MutationObserver.');
+        const observer = new MutationObserver(scheduleSync);
         observer.observe(document.body, {
             childList: true,
             subtree: true
         });
+
+        window.addEventListener('popstate', scheduleSync);
+        // Capture phase, so bound shortcuts are handled before the player's own key handlers
+        window.addEventListener('keydown', handleShortcutKeydown, true);
+        // The Navigation API also reports pushState navigations, where the browser supports it
+        if (window.navigation) {
+            window.navigation.addEventListener('navigatesuccess', scheduleSync);
+        }
+
+        checkLectureChange();
+        syncUI();
+        // Deliver anything left queued from an earlier page
+        flushWebhookQueueInBackground();
     }
 
-    // --- 5. Script Entry Point ---
-    // Start the observer. Since Udemy is a SPA, we wait for a load event
-    // just in case, but the observer is the main detection mechanism.
-    if (document.readyState === 'complete') {
-        initObserver();
+    // --- 15. Script Entry Point ---
+    // Under Node there is no live page to enhance, so the headless core is exported instead
+    // (see udemy-transcript-cli.js and test/). Otherwise start the lifecycle manager. Since Udemy is a SPA,
+    // we wait for a load event just in case, but the observer is the main detection mechanism.
+    if (typeof module === 'object' && module.exports) {
+        module.exports = {
+            DEFAULT_SETTINGS,
+            OUTPUT_MODES,
+            OUTPUT_FORMATS,
+            CONFIG_FILE_FORMAT,
+            settingsFromStored,
+            validateTemplate,
+            reflowTranscript,
+            convertLecturePage,
+            buildFilename,
+            resolveField,
+            setLogger,
+            configureNetwork,
+            fetchCurriculum,
+            groupCurriculum,
+            buildBulkTranscript,
+            configureWebhookTransport,
+            postWebhook,
+            sendOrQueueWebhook,
+            loadWebhookQueue,
+            flushWebhookQueue,
+        };
     } else {
-        window.addEventListener('load', initObserver);
+        logger.log(getPrefix(), 'Script starting up.');
+        if (document.readyState === 'complete') {
+            startLifecycle();
+        } else {
+            window.addEventListener('load', startLifecycle);
+        }
     }
 
 })();